@@ -180,9 +180,22 @@ class RcloneApiService {
         const mountParams = {
             fs: params.fs,
             mountPoint: params.mountPoint,
-            opt: params.mountOpt
+            mountOpt: params.mountOpt || {},
+            vfsOpt: params.vfsOpt || {}
         };
 
+        if (params.config && Object.keys(params.config).length) {
+            mountParams._config = params.config;
+        }
+
+        if (params.filter) {
+            mountParams._filter = params.filter;
+        }
+
+        if (params.group) {
+            mountParams._group = params.group;
+        }
+
         return this.makeRequest('mount/mount', 'POST', mountParams);
     }
 
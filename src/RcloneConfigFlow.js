@@ -0,0 +1,200 @@
+const { spawn } = require('child_process');
+
+/**
+ * Questions of rclone's OAuth helper, see lib/oauthutil in rclone
+ * @private
+ */
+const OAUTH_IS_LOCAL = 'config_is_local';
+const OAUTH_TOKEN = 'config_token';
+
+/**
+ * Output of rclone authorize
+ * @private
+ */
+const AUTH_URL = /(https?:\/\/127\.0\.0\.1:\d+\/auth\?state=[^\s]+)/;
+const AUTH_TOKEN = /--->\s*([\s\S]+?)\s*<---End paste/;
+const AUTHORIZE_COMMAND = /rclone authorize ((?:"[^"]*"\s*)+)/;
+
+/**
+ * Creation of a remote through the config/create state machine of rclone. rclone
+ * returns one question at a time, the answer goes back with config/update and its
+ * state until no question is left.
+ *
+ * OAuth questions are answered here: rcd runs non-interactive and can't show its
+ * authorization URL, so the flow says it has no local browser and gets the token from
+ * rclone authorize, opening its URL with openUrl. With auth_url and token_url parameters
+ * of the remote pointing to a local stub server, and openUrl following the redirects,
+ * the whole flow runs without a browser.
+ */
+class RcloneConfigFlow {
+    /**
+     * @param {Object} options
+     * @param {Function} options.request Called with endpoint and params, returns rc response
+     * @param {Function} options.getRcloneBinary
+     * @param {Function} options.openUrl Called with the authorization URL
+     * @param {Function} [options.getAuthorizeArgs] Extra arguments of rclone authorize, like the config password ones
+     * @param {Function} [options.getEnv] Environment of rclone authorize
+     * @param {number} [options.authorizeTimeout] How long to wait for the authorization, in ms
+     */
+    constructor(options) {
+        if (!options || !options.request) throw new Error('request is required for RcloneConfigFlow');
+        if (!options.openUrl) throw new Error('openUrl is required for RcloneConfigFlow');
+
+        this.request = options.request;
+        this.getRcloneBinary = options.getRcloneBinary || (() => 'rclone');
+        this.openUrl = options.openUrl;
+        this.getAuthorizeArgs = options.getAuthorizeArgs || (() => []);
+        this.getEnv = options.getEnv || (() => process.env);
+        this.authorizeTimeout = options.authorizeTimeout || 5 * 60 * 1000;
+
+        this.name = null;
+        this.type = null;
+        this.authorizeProcess = null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Create the remote and get its first question
+     * @param {string} name
+     * @param {string} type
+     * @param {Object} parameters Options filled in the form
+     * @returns {Promise<{done: boolean, state: string, option: Object|null, error: string}>}
+     */
+    async start(name, type, parameters) {
+        this.name = name;
+        this.type = type;
+        const response = await this.request('config/create', {
+            name,
+            type,
+            parameters: parameters || {},
+            opt: { nonInteractive: true, obscure: true }
+        });
+        return this._next(response);
+    }
+
+    /**
+     * Answer the question of the last step
+     * @param {string} state State of the last step
+     * @param {string} result
+     * @returns {Promise<{done: boolean, state: string, option: Object|null, error: string}>}
+     */
+    async answer(state, result) {
+        if (!this.name) {
+            throw new Error('The remote creation has not started');
+        }
+        const response = await this.request('config/update', {
+            name: this.name,
+            parameters: {},
+            opt: { nonInteractive: true, continue: true, state, result: String(result) }
+        });
+        return this._next(response);
+    }
+
+    /**
+     * Stop a running authorization, the caller removes the half created remote
+     */
+    cancel() {
+        this.cancelled = true;
+        if (this.authorizeProcess) {
+            this.authorizeProcess.kill();
+        }
+    }
+
+    async _next(response) {
+        if (this.cancelled) {
+            throw new Error('Cancelled');
+        }
+
+        const step = {
+            done: !response || !response.State,
+            state: (response && response.State) || '',
+            option: (response && response.Option) || null,
+            error: (response && response.Error) || ''
+        };
+        if (step.done || !step.option) {
+            step.done = true;
+            return step;
+        }
+
+        // A wrong answer comes back as the same question with an error, show it
+        if (step.error) {
+            return step;
+        }
+
+        if (step.option.Name === OAUTH_IS_LOCAL) {
+            return this.answer(step.state, 'false');
+        }
+        if (step.option.Name === OAUTH_TOKEN) {
+            const token = await this._authorize(step.option);
+            return this.answer(step.state, token);
+        }
+        return step;
+    }
+
+    /**
+     * Run rclone authorize as the question asks to, open its URL and wait for the token
+     * @param {Object} option The config_token question
+     * @returns {Promise<string>}
+     * @private
+     */
+    _authorize(option) {
+        const command = (option.Help || '').match(AUTHORIZE_COMMAND);
+        const args = command
+            ? command[1].trim().split(/"\s+"/).map(arg => arg.replace(/^"|"$/g, ''))
+            : [this.type];
+
+        return new Promise((resolve, reject) => {
+            const authorizeProcess = spawn(this.getRcloneBinary(),
+                ['authorize', ...args, '--auth-no-open-browser', ...this.getAuthorizeArgs()], {
+                    stdio: ['ignore', 'pipe', 'pipe'],
+                    env: this.getEnv()
+                });
+            this.authorizeProcess = authorizeProcess;
+
+            let output = '';
+            let opened = false;
+            let token = null;
+            const timer = setTimeout(() => {
+                authorizeProcess.kill();
+                reject(new Error('The authorization was not completed in time'));
+            }, this.authorizeTimeout);
+
+            const onData = (data) => {
+                output += data.toString();
+                const url = output.match(AUTH_URL);
+                if (url && !opened) {
+                    opened = true;
+                    Promise.resolve(this.openUrl(url[1])).catch(error => {
+                        authorizeProcess.kill();
+                        reject(new Error(`Failed to open ${url[1]}: ${error.message}`));
+                    });
+                }
+                const paste = output.match(AUTH_TOKEN);
+                if (paste) {
+                    token = paste[1];
+                }
+            };
+            authorizeProcess.stdout.on('data', onData);
+            authorizeProcess.stderr.on('data', onData);
+
+            authorizeProcess.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            authorizeProcess.on('close', code => {
+                clearTimeout(timer);
+                this.authorizeProcess = null;
+                if (this.cancelled) {
+                    reject(new Error('Cancelled'));
+                } else if (token) {
+                    resolve(token);
+                } else {
+                    const lastLine = output.trim().split('\n').pop();
+                    reject(new Error(`Authorization failed${lastLine ? `: ${lastLine}` : ` with code ${code}`}`));
+                }
+            });
+        });
+    }
+}
+
+module.exports = RcloneConfigFlow;
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+
+const SECTION_HEADER = /^\s*\[(.+)\]\s*$/;
+const KEY_LINE = /^\s*([^=;#\s[][^=]*?)\s*=\s*(.*?)\s*$/;
+const ENCRYPTED_MARKER = /^\s*RCLONE_ENCRYPT_V0:/m;
+
+/**
+ * Wait without blocking the main process, rcd may hold the lock for a while
+ * @private
+ */
+const sleep = function (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+/**
+ * rclone.conf as lines, so removing keys and sections leaves comments, order and
+ * formatting of every other line as they are.
+ * @private
+ */
+class ConfigDocument {
+    constructor(content) {
+        this.eol = /\r\n/.test(content) ? '\r\n' : '\n';
+        this.lines = content.length ? content.split(/\r?\n/) : [];
+    }
+
+    /**
+     * @returns {Array<{name: string, start: number, end: number}>} end is the line after the last key
+     */
+    _sections() {
+        const sections = [];
+        this.lines.forEach((line, index) => {
+            const header = line.match(SECTION_HEADER);
+            if (header) {
+                sections.push({ name: header[1].trim(), start: index, end: index + 1 });
+            } else if (sections.length && KEY_LINE.test(line)) {
+                sections[sections.length - 1].end = index + 1;
+            }
+        });
+        return sections;
+    }
+
+    _find(name) {
+        return this._sections().find(section => section.name === name) || null;
+    }
+
+    names() {
+        return this._sections().map(section => section.name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null} Keys of the section
+     */
+    get(name) {
+        const section = this._find(name);
+        if (!section) {
+            return null;
+        }
+        const values = {};
+        this.lines.slice(section.start + 1, section.end).forEach(line => {
+            const key = line.match(KEY_LINE);
+            if (key) {
+                values[key[1]] = key[2];
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Remove keys of a section, their lines only
+     * @param {string} name
+     * @param {Function} predicate Called with key name, true to remove
+     * @returns {number} Removed keys
+     */
+    removeKeys(name, predicate) {
+        const section = this._find(name);
+        if (!section) {
+            return 0;
+        }
+        const body = this.lines.slice(section.start + 1, section.end);
+        const kept = body.filter(line => {
+            const key = line.match(KEY_LINE);
+            return !key || !predicate(key[1]);
+        });
+        this.lines.splice(section.start + 1, body.length, ...kept);
+        return body.length - kept.length;
+    }
+
+    /**
+     * Remove a section with its keys. Comments after the last key stay, they usually
+     * belong to the next section.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    remove(name) {
+        const section = this._find(name);
+        if (!section) {
+            return false;
+        }
+        // The last empty line is the newline at the end of the file
+        let end = section.end;
+        while (end < this.lines.length - 1 && !this.lines[end].trim()) {
+            end++;
+        }
+        this.lines.splice(section.start, end - section.start);
+        return true;
+    }
+
+    toString() {
+        return this.lines.join(this.eol);
+    }
+}
+
+/**
+ * Writes rclone.conf for the migration of older RcloneTray settings out of it only,
+ * everything else changes the config through rc (config/create, config/update,
+ * config/delete) and rclone owns the file. Changes run under a lock file, are written
+ * to a temp file and renamed over the config, with a backup to roll back to. When rcd
+ * or another rclone process changes the file meanwhile, the change is applied again
+ * on top of their version.
+ */
+class RcloneConfigWriter {
+    /**
+     * @param {string|Function} configFile Path, or function returning it, it can change in preferences
+     * @param {Object} [options]
+     * @param {number} [options.lockTimeout] How long to wait for the lock, in ms
+     * @param {number} [options.staleLockAge] Lock older than this is left by a crash, in ms
+     */
+    constructor(configFile, options = {}) {
+        if (!configFile) throw new Error('configFile is required for RcloneConfigWriter');
+
+        this.getConfigFile = typeof configFile === 'function' ? configFile : () => configFile;
+        this.lockTimeout = options.lockTimeout || 10000;
+        this.staleLockAge = options.staleLockAge || 30000;
+    }
+
+    get backupFile() {
+        return `${this.getConfigFile()}.bak`;
+    }
+
+    async _lock(configFile) {
+        const lockFile = `${configFile}.lock`;
+        const deadline = Date.now() + this.lockTimeout;
+        while (true) {
+            try {
+                fs.writeFileSync(lockFile, `${process.pid}`, { flag: 'wx' });
+                return lockFile;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            try {
+                if (Date.now() - fs.statSync(lockFile).mtimeMs > this.staleLockAge) {
+                    console.log(`Removing stale lock ${lockFile}`);
+                    fs.unlinkSync(lockFile);
+                    continue;
+                }
+            } catch (error) {
+                // Released meanwhile
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`${configFile} is locked by another process, try again later`);
+            }
+            await sleep(100);
+        }
+    }
+
+    _read(configFile) {
+        try {
+            const stat = fs.statSync(configFile);
+            return { content: fs.readFileSync(configFile, 'utf-8'), mtimeMs: stat.mtimeMs, size: stat.size, mode: stat.mode & 0o777 };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return { content: '', mtimeMs: 0, size: 0, mode: 0o600 };
+        }
+    }
+
+    _changedSince(configFile, read) {
+        try {
+            const stat = fs.statSync(configFile);
+            return stat.mtimeMs !== read.mtimeMs || stat.size !== read.size;
+        } catch (error) {
+            return read.mtimeMs !== 0;
+        }
+    }
+
+    _replace(configFile, content, mode) {
+        const tempFile = path.join(path.dirname(configFile), `.${path.basename(configFile)}.${process.pid}.tmp`);
+        try {
+            const fd = fs.openSync(tempFile, 'w', mode);
+            try {
+                fs.writeSync(fd, content);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, configFile);
+        } catch (error) {
+            try {
+                fs.unlinkSync(tempFile);
+            } catch (unlinkError) {
+                // Not created
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read the config as a document, for inspection only
+     * @returns {ConfigDocument}
+     */
+    read() {
+        return new ConfigDocument(this._read(this.getConfigFile()).content);
+    }
+
+    /**
+     * Change the config. Waiting for the lock is async, the change itself runs
+     * synchronously under the lock.
+     * @param {Function} change Called with the document, returns false when there is nothing to write
+     * @returns {Promise<*>} What change returned
+     */
+    async update(change) {
+        const configFile = this.getConfigFile();
+        fs.mkdirSync(path.dirname(configFile), { recursive: true });
+        const lockFile = await this._lock(configFile);
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                const current = this._read(configFile);
+                if (ENCRYPTED_MARKER.test(current.content)) {
+                    throw new Error('The config is encrypted, unlock it before changing it');
+                }
+
+                const document = new ConfigDocument(current.content);
+                const result = change(document);
+                const content = document.toString();
+                if (result === false || content === current.content) {
+                    return result;
+                }
+
+                // rcd may refresh a token while we edit, edit its version then
+                if (this._changedSince(configFile, current)) {
+                    if (attempt >= 3) {
+                        throw new Error(`${configFile} keeps changing, try again later`);
+                    }
+                    continue;
+                }
+
+                if (current.content) {
+                    fs.writeFileSync(this.backupFile, current.content, { mode: current.mode });
+                }
+
+                try {
+                    this._replace(configFile, content, current.mode);
+                    if (fs.readFileSync(configFile, 'utf-8') !== content) {
+                        throw new Error('written config does not match');
+                    }
+                } catch (error) {
+                    if (current.content) {
+                        console.error(`Failed to write ${configFile}, restoring backup:`, error.message);
+                        this._replace(configFile, current.content, current.mode);
+                    }
+                    throw new Error(`Failed to write ${configFile}: ${error.message}`);
+                }
+                return result;
+            }
+        } finally {
+            try {
+                fs.unlinkSync(lockFile);
+            } catch (error) {
+                // Removed as stale by someone else
+            }
+        }
+    }
+}
+
+module.exports = RcloneConfigWriter;
@@ -0,0 +1,344 @@
+'use strict'
+
+/**
+ * Built-in filter presets, each one is a list of exclude globs
+ */
+const FilterPresets = {
+  'os-junk': {
+    label: 'OS junk files',
+    help: '.DS_Store, ._*, Thumbs.db, desktop.ini, .Spotlight-V100, .Trashes, $RECYCLE.BIN',
+    exclude: [
+      '.DS_Store',
+      '._*',
+      'Thumbs.db',
+      'ehthumbs.db',
+      'desktop.ini',
+      '.Spotlight-V100/**',
+      '.Trashes/**',
+      '.fseventsd/**',
+      '$RECYCLE.BIN/**'
+    ]
+  },
+  'office-locks': {
+    label: 'Office lock files',
+    help: '~$* (Microsoft Office), .~lock.*# (LibreOffice)',
+    exclude: [
+      '~$*',
+      '.~lock.*#'
+    ]
+  },
+  'vcs': {
+    label: 'Version control',
+    help: '.git, .svn, .hg directories',
+    exclude: [
+      '.git/**',
+      '.svn/**',
+      '.hg/**'
+    ]
+  },
+  'temp': {
+    label: 'Temporary files',
+    help: '*.tmp, *.swp, *~, *.part, *.crdownload',
+    exclude: [
+      '*.tmp',
+      '*.swp',
+      '*~',
+      '*.part',
+      '*.crdownload'
+    ]
+  }
+}
+
+/**
+ * Empty filter rules
+ */
+const DEFAULT_FILTERS = {
+  presets: [],
+  include: [],
+  exclude: [],
+  filterFrom: '',
+  minSize: '',
+  maxSize: '',
+  minAge: '',
+  maxAge: ''
+}
+
+/**
+ * Ini keys suffixes, the prefix is _rclonetray_sync_filter_ or _rclonetray_mount_filter_
+ * @private
+ */
+const FilterKeys = {
+  presets: 'presets',
+  include: 'include',
+  exclude: 'exclude',
+  filterFrom: 'from',
+  minSize: 'min_size',
+  maxSize: 'max_size',
+  minAge: 'min_age',
+  maxAge: 'max_age'
+}
+
+const SizePattern = /^\d+(\.\d+)?([bkmgtpe]i?b?)?$/i
+const AgePattern = /^(\d+(\.\d+)?(ms|s|m|h|d|w|M|y)?)+$|^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/
+
+/**
+ * Split textarea or comma-less list into glob lines
+ * @param {string|Array} value
+ * @returns {Array}
+ * @private
+ */
+const toList = function (value) {
+  if (Array.isArray(value)) {
+    return value.map(item => item.toString().trim()).filter(Boolean)
+  }
+  return (value || '').toString().split(/\r?\n/).map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * Normalize filters object, unknown presets are dropped
+ * @param {{}} filters
+ * @returns {{}}
+ */
+const normalize = function (filters) {
+  filters = filters || {}
+  return {
+    presets: toList(filters.presets).filter(preset => preset in FilterPresets),
+    include: toList(filters.include),
+    exclude: toList(filters.exclude),
+    filterFrom: (filters.filterFrom || '').trim(),
+    minSize: (filters.minSize || '').trim(),
+    maxSize: (filters.maxSize || '').trim(),
+    minAge: (filters.minAge || '').trim(),
+    maxAge: (filters.maxAge || '').trim()
+  }
+}
+
+/**
+ * Check filter values
+ * @param {{}} filters
+ * @throws {Error}
+ */
+const validate = function (filters) {
+  filters = normalize(filters)
+  ;['minSize', 'maxSize'].forEach(key => {
+    if (filters[key] && !SizePattern.test(filters[key])) {
+      throw new Error(`Invalid size "${filters[key]}", use values like 100k, 10M or 1.5G`)
+    }
+  })
+  ;['minAge', 'maxAge'].forEach(key => {
+    if (filters[key] && !AgePattern.test(filters[key])) {
+      throw new Error(`Invalid age "${filters[key]}", use values like 30m, 2d, 1w or 2024-01-31`)
+    }
+  })
+  return true
+}
+
+/**
+ * Check if there is any rule at all
+ * @param {{}} filters
+ * @returns {boolean}
+ */
+const isEmpty = function (filters) {
+  filters = normalize(filters)
+  return !filters.presets.length && !filters.include.length && !filters.exclude.length &&
+    !filters.filterFrom && !filters.minSize && !filters.maxSize && !filters.minAge && !filters.maxAge
+}
+
+/**
+ * Ordered rclone filter rules. Excludes go first, so junk is dropped even inside included paths,
+ * and when there are includes everything else is excluded at the end.
+ * @param {{}} filters
+ * @returns {Array}
+ * @private
+ */
+const getFilterRules = function (filters) {
+  const rules = []
+  filters.presets.forEach(preset => {
+    FilterPresets[preset].exclude.forEach(glob => rules.push('- ' + glob))
+  })
+  filters.exclude.forEach(glob => rules.push('- ' + glob))
+  filters.include.forEach(glob => rules.push('+ ' + glob))
+  if (filters.include.length) {
+    rules.push('- **')
+  }
+  return rules
+}
+
+/**
+ * Convert filters to command line flags, for core/command calls
+ * @param {{}} filters
+ * @returns {Array}
+ */
+const toArgs = function (filters) {
+  filters = normalize(filters)
+  const args = []
+  getFilterRules(filters).forEach(rule => args.push('--filter', rule))
+  if (filters.filterFrom) args.push('--filter-from', filters.filterFrom)
+  if (filters.minSize) args.push('--min-size', filters.minSize)
+  if (filters.maxSize) args.push('--max-size', filters.maxSize)
+  if (filters.minAge) args.push('--min-age', filters.minAge)
+  if (filters.maxAge) args.push('--max-age', filters.maxAge)
+  return args
+}
+
+/**
+ * Convert filters to the _filter parameter of rc calls
+ * @param {{}} filters
+ * @returns {{}|null}
+ */
+const toRcFilter = function (filters) {
+  filters = normalize(filters)
+  if (isEmpty(filters)) {
+    return null
+  }
+
+  const rcFilter = {}
+  const rules = getFilterRules(filters)
+  if (rules.length) rcFilter.FilterRule = rules
+  if (filters.filterFrom) rcFilter.FilterFrom = [filters.filterFrom]
+  if (filters.minSize) rcFilter.MinSize = filters.minSize
+  if (filters.maxSize) rcFilter.MaxSize = filters.maxSize
+  if (filters.minAge) rcFilter.MinAge = filters.minAge
+  if (filters.maxAge) rcFilter.MaxAge = filters.maxAge
+  return rcFilter
+}
+
+/**
+ * Read filters from ini section
+ * @param {{}} section
+ * @param {string} prefix e.g. _rclonetray_sync_filter_
+ * @returns {{}}
+ */
+const fromSection = function (section, prefix) {
+  const filters = {}
+  section = section || {}
+  Object.keys(FilterKeys).forEach(key => {
+    const value = section[prefix + FilterKeys[key]]
+    if (value === undefined) {
+      return
+    }
+    if (Array.isArray(DEFAULT_FILTERS[key])) {
+      try {
+        filters[key] = JSON.parse(value)
+      } catch (error) {
+        filters[key] = []
+      }
+    } else {
+      filters[key] = value
+    }
+  })
+  return normalize(filters)
+}
+
+/**
+ * Write filters to ini section, empty values are removed
+ * @param {{}} section
+ * @param {string} prefix
+ * @param {{}} filters
+ */
+const toSection = function (section, prefix, filters) {
+  filters = normalize(filters)
+  Object.keys(FilterKeys).forEach(key => {
+    const value = filters[key]
+    const empty = Array.isArray(value) ? !value.length : !value
+    if (empty) {
+      delete section[prefix + FilterKeys[key]]
+    } else {
+      section[prefix + FilterKeys[key]] = Array.isArray(value) ? JSON.stringify(value) : value
+    }
+  })
+}
+
+/**
+ * Option field definitions for the filter editor, see createOptionsFields() in dialogs-preload
+ * @param {{}} filters
+ * @returns {Array}
+ */
+const getEditorFields = function (filters) {
+  filters = normalize(filters)
+  const fields = Object.keys(FilterPresets).map(preset => ({
+    $Label: 'Skip ' + FilterPresets[preset].label,
+    $Type: 'boolean',
+    Name: 'preset_' + preset,
+    Help: FilterPresets[preset].help,
+    Value: filters.presets.indexOf(preset) > -1
+  }))
+
+  return fields.concat([
+    {
+      $Label: 'Exclude',
+      $Type: 'text',
+      Name: 'exclude',
+      Help: 'One glob per line, e.g. *.iso or cache/**',
+      Value: filters.exclude.join('\n')
+    },
+    {
+      $Label: 'Include only',
+      $Type: 'text',
+      Name: 'include',
+      Help: 'One glob per line. When set, everything else is skipped.',
+      Value: filters.include.join('\n')
+    },
+    {
+      $Label: 'Filter file',
+      $Type: 'file',
+      Name: 'filterFrom',
+      Help: 'Rclone filter file, passed as --filter-from',
+      Value: filters.filterFrom
+    },
+    {
+      $Label: 'Min size',
+      $Type: 'string',
+      Name: 'minSize',
+      Help: 'Skip smaller files, e.g. 10k',
+      Value: filters.minSize
+    },
+    {
+      $Label: 'Max size',
+      $Type: 'string',
+      Name: 'maxSize',
+      Help: 'Skip bigger files, e.g. 2G',
+      Value: filters.maxSize
+    },
+    {
+      $Label: 'Min age',
+      $Type: 'string',
+      Name: 'minAge',
+      Help: 'Skip files newer than this, e.g. 1h',
+      Value: filters.minAge
+    },
+    {
+      $Label: 'Max age',
+      $Type: 'string',
+      Name: 'maxAge',
+      Help: 'Skip files older than this, e.g. 30d',
+      Value: filters.maxAge
+    }
+  ])
+}
+
+/**
+ * Convert filter editor form data back to filters
+ * @param {{}} data Namespaced form data, as returned by getTheFormData()
+ * @returns {{}}
+ */
+const fromEditorData = function (data) {
+  data = data || {}
+  const filters = normalize(data)
+  filters.presets = Object.keys(FilterPresets).filter(preset => !!data['preset_' + preset])
+  return filters
+}
+
+module.exports = {
+  FilterPresets,
+  DEFAULT_FILTERS,
+  normalize,
+  validate,
+  isEmpty,
+  toArgs,
+  toRcFilter,
+  fromSection,
+  toSection,
+  getEditorFields,
+  fromEditorData
+}
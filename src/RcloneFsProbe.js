@@ -0,0 +1,67 @@
+'use strict'
+
+const { spawn } = require('child_process')
+
+/**
+ * File system calls on a hung FUSE mount never return. In the main process each one
+ * would block a libuv thread for good, and a few of them freeze every fs call of the app.
+ * Probes run in a child process instead, which is killed when it does not answer in time.
+ */
+
+/**
+ * Run a script with node in a child process, Electron runs as node for it
+ * @param {string} script Source, gets the args as process.argv.slice(1)
+ * @param {Array<string>} args
+ * @param {number} timeout In ms
+ * @returns {Promise<{timedOut: boolean, output: string, exited: Promise}>} What the script wrote
+ *   to stdout. exited resolves when the child is gone, after a timeout that can take long.
+ */
+const run = function (script, args, timeout) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script, ...args], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+      env: Object.assign({}, process.env, { ELECTRON_RUN_AS_NODE: '1' })
+    })
+    const exited = new Promise(resolveExit => child.on('close', resolveExit))
+    let output = ''
+    let timedOut = false
+    const timer = setTimeout(() => {
+      timedOut = true
+      child.kill('SIGKILL')
+      // A process stuck in the kernel on FUSE may not even die, don't wait for it
+      resolve({ timedOut, output, exited })
+    }, timeout)
+
+    child.stdout.on('data', data => { output += data })
+    child.on('error', error => {
+      clearTimeout(timer)
+      reject(error)
+    })
+    child.on('close', () => {
+      clearTimeout(timer)
+      if (!timedOut) {
+        resolve({ timedOut, output, exited })
+      }
+    })
+  })
+}
+
+/**
+ * List a directory
+ * @param {string} dirPath
+ * @param {number} timeout In ms
+ * @returns {Promise<{timedOut: boolean, code: string|null, exited: Promise}>} code of the error, null when listed
+ */
+const readdir = function (dirPath, timeout) {
+  const script = "require('fs').readdir(process.argv[1], error => process.stdout.write(error ? (error.code || 'ERROR') : 'OK'))"
+  return run(script, [dirPath], timeout).then(({ timedOut, output, exited }) => ({
+    timedOut,
+    code: timedOut || output === 'OK' ? null : (output || 'ERROR'),
+    exited
+  }))
+}
+
+module.exports = {
+  run,
+  readdir
+}
@@ -0,0 +1,249 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const RcloneFsProbe = require('./RcloneFsProbe')
+
+/**
+ * FUSE helper binaries, fusermount3 comes with fuse3, fusermount with fuse 2
+ */
+const FuseBinaries = ['fusermount3', 'fusermount']
+
+const FuseDevice = '/dev/fuse'
+
+const FuseConfigFiles = ['/etc/fuse.conf', '/etc/fuse3.conf']
+
+/**
+ * How long the mount directory check may take, a hung mount never answers
+ */
+const MountCheckTimeout = 5000
+
+const StaleMountHelp = 'If it is a stale mount left by a crash, unmount it with "fusermount -uz" and try again.'
+
+const InstallFuseHelp = 'Install FUSE 3: "sudo apt install fuse3" on Debian/Ubuntu, ' +
+  '"sudo dnf install fuse3" on Fedora, "sudo pacman -S fuse3" on Arch.'
+
+/**
+ * @param {string} id
+ * @param {string} title
+ * @param {boolean} ok
+ * @param {string} message
+ * @param {string} [fix] How to fix a failed check
+ * @returns {{id: string, title: string, ok: boolean, message: string, fix: string}}
+ * @private
+ */
+const result = function (id, title, ok, message, fix) {
+  return { id, title, ok, message, fix: ok ? '' : (fix || '') }
+}
+
+/**
+ * Find executable in PATH
+ * @param {string} name
+ * @returns {string|null}
+ * @private
+ */
+const findInPath = function (name) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).concat(['/bin', '/usr/bin', '/sbin', '/usr/sbin'])
+  for (const dir of dirs.filter(dir => dir)) {
+    const candidate = path.join(dir, name)
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK)
+      return candidate
+    } catch (error) {
+      // Not here
+    }
+  }
+  return null
+}
+
+const checkFuseBinary = function () {
+  const title = 'FUSE helper'
+  for (const binary of FuseBinaries) {
+    const found = findInPath(binary)
+    if (found) {
+      return result('fuse-binary', title, true, `Found ${found}`)
+    }
+  }
+  return result('fuse-binary', title, false, `Neither ${FuseBinaries.join(' nor ')} was found in PATH`, InstallFuseHelp)
+}
+
+const checkFuseDevice = function () {
+  const title = 'FUSE device'
+  try {
+    fs.accessSync(FuseDevice, fs.constants.R_OK | fs.constants.W_OK)
+    return result('fuse-device', title, true, `${FuseDevice} is accessible`)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return result('fuse-device', title, false, `${FuseDevice} does not exist`,
+        `Load the FUSE kernel module with "sudo modprobe fuse". ${InstallFuseHelp} ` +
+        'In a container, start it with --device /dev/fuse.')
+    }
+    return result('fuse-device', title, false, `${FuseDevice} is not readable and writable by you (${error.code})`,
+      `Add yourself to the fuse group with "sudo usermod -aG fuse $USER" and log in again, ` +
+      `or make the device accessible with "sudo chmod 666 ${FuseDevice}".`)
+  }
+}
+
+/**
+ * allow_other works for regular users only with user_allow_other in fuse.conf
+ * @param {boolean} allowOther
+ */
+const checkFuseConfig = function (allowOther) {
+  const title = 'fuse.conf'
+  if (!allowOther) {
+    return result('fuse-conf', title, true, 'Not needed, "Allow other users" is off')
+  }
+
+  for (const file of FuseConfigFiles) {
+    let content = null
+    try {
+      content = fs.readFileSync(file, 'utf-8')
+    } catch (error) {
+      continue
+    }
+    const enabled = content.split('\n').some(line => line.trim() === 'user_allow_other')
+    if (enabled) {
+      return result('fuse-conf', title, true, `user_allow_other is set in ${file}`)
+    }
+    return result('fuse-conf', title, false, `"Allow other users" is on, but user_allow_other is not set in ${file}`,
+      `Add the line user_allow_other to ${file} (as root), or turn off "Allow other users" in Mount Settings.`)
+  }
+
+  return result('fuse-conf', title, false, `"Allow other users" is on, but ${FuseConfigFiles[0]} does not exist`,
+    `Create ${FuseConfigFiles[0]} with the line user_allow_other (as root), or turn off "Allow other users" in Mount Settings.`)
+}
+
+/**
+ * Check the path is a mount point, rclone would mount over it
+ * @param {string} mountPath
+ * @returns {boolean}
+ */
+const isMountPoint = function (mountPath) {
+  const resolved = path.resolve(mountPath)
+  if (process.platform === 'linux') {
+    try {
+      return fs.readFileSync('/proc/mounts', 'utf-8')
+        .split('\n')
+        .map(line => line.split(' ')[1])
+        .filter(mountPoint => mountPoint)
+        .some(mountPoint => mountPoint.replace(/\\([0-7]{3})/g, (match, code) => String.fromCharCode(parseInt(code, 8))) === resolved)
+    } catch (error) {
+      // No procfs, compare devices below
+    }
+  }
+  // A mount point is on another device than its parent
+  try {
+    return resolved !== path.dirname(resolved) && fs.statSync(resolved).dev !== fs.statSync(path.dirname(resolved)).dev
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Mount directory has to be empty and writable, or creatable when missing
+ * @param {string} mountPath
+ */
+const checkMountDirectory = function (mountPath) {
+  const title = `Mount directory ${mountPath}`
+  let stat = null
+  try {
+    stat = fs.statSync(mountPath)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      return result('mount-dir', title, false, `Cannot access it (${error.code})`, StaleMountHelp)
+    }
+    // Created on mount, the closest existing parent must be writable
+    let parent = path.dirname(mountPath)
+    while (!fs.existsSync(parent) && path.dirname(parent) !== parent) {
+      parent = path.dirname(parent)
+    }
+    try {
+      fs.accessSync(parent, fs.constants.W_OK)
+      return result('mount-dir', title, true, 'Does not exist yet and will be created')
+    } catch (accessError) {
+      return result('mount-dir', title, false, `Does not exist and ${parent} is not writable`,
+        'Choose a local mount path inside a folder you own.')
+    }
+  }
+
+  if (isMountPoint(mountPath)) {
+    return result('mount-dir', title, false, 'Is already a mount point',
+      'Unmount what is mounted there, or choose another local mount path.')
+  }
+  if (!stat.isDirectory()) {
+    return result('mount-dir', title, false, 'Is a file, not a folder', 'Choose another local mount path.')
+  }
+  try {
+    fs.accessSync(mountPath, fs.constants.W_OK)
+  } catch (error) {
+    return result('mount-dir', title, false, 'Is not writable by you',
+      'Change the owner of the folder to your user, or choose another local mount path.')
+  }
+  const entries = fs.readdirSync(mountPath)
+  if (entries.length > 0) {
+    return result('mount-dir', title, false, `Is not empty (${entries.length} item(s))`,
+      'Move the files away or choose an empty folder, rclone does not mount over existing files.')
+  }
+  return result('mount-dir', title, true, 'Empty and writable')
+}
+
+/**
+ * Check the mount directory in a child process, the path may be a hung mount
+ * that blocks every file system call on it
+ * @param {string} mountPath
+ * @param {number} [timeout] In ms
+ * @returns {Promise<{id: string, title: string, ok: boolean, message: string, fix: string}>}
+ */
+const probeMountDirectory = function (mountPath, timeout = MountCheckTimeout) {
+  const title = `Mount directory ${mountPath}`
+  const script = `process.stdout.write(JSON.stringify(require(${JSON.stringify(__filename)}).checkMountDirectory(process.argv[1])))`
+  return RcloneFsProbe.run(script, [mountPath], timeout).then(({ timedOut, output }) => {
+    if (timedOut) {
+      return result('mount-dir', title, false, `Did not answer within ${timeout / 1000}s`, StaleMountHelp)
+    }
+    try {
+      return JSON.parse(output)
+    } catch (error) {
+      return result('mount-dir', title, false, 'Could not be checked', StaleMountHelp)
+    }
+  })
+}
+
+/**
+ * Run the checks a mount needs. FUSE checks apply to Linux only.
+ * @param {Object} options
+ * @param {string} [options.mountPath] Skipped when not given, e.g. for a mount that is up
+ * @param {boolean} [options.allowOther]
+ * @returns {Promise<Array<{id: string, title: string, ok: boolean, message: string, fix: string}>>}
+ */
+const runChecks = async function (options = {}) {
+  const checks = []
+  if (process.platform === 'linux') {
+    checks.push(checkFuseBinary(), checkFuseDevice(), checkFuseConfig(!!options.allowOther))
+  }
+  if (options.mountPath) {
+    checks.push(await probeMountDirectory(options.mountPath))
+  }
+  return checks
+}
+
+/**
+ * Text of failed checks with their fixes, for error messages
+ * @param {Array} checks
+ * @returns {string}
+ */
+const describeFailures = function (checks) {
+  return checks
+    .filter(check => !check.ok)
+    .map(check => `${check.title}: ${check.message}. ${check.fix}`)
+    .join('\n')
+}
+
+module.exports = {
+  isMountPoint,
+  checkFuseConfig,
+  checkMountDirectory,
+  probeMountDirectory,
+  runChecks,
+  describeFailures
+}
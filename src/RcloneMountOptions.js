@@ -0,0 +1,332 @@
+'use strict'
+
+/**
+ * Mount options editable per mount point. Flags are the keys stored as _rclonetray_mount_opt_*,
+ * block and name point to the options/info entry, field is the rc parameter name.
+ * Options of the "main" block go to _config of the mount call.
+ */
+const MountOptions = [
+  {
+    flag: '--vfs-cache-mode',
+    block: 'vfs',
+    name: 'vfs_cache_mode',
+    field: 'CacheMode',
+    label: 'VFS cache mode',
+    type: 'select',
+    choices: ['off', 'minimal', 'writes', 'full'],
+    help: 'Cache mode off|minimal|writes|full. Most applications need at least writes.'
+  },
+  {
+    flag: '--read-only',
+    block: 'vfs',
+    name: 'read_only',
+    field: 'ReadOnly',
+    label: 'Read only',
+    type: 'boolean',
+    help: 'Only allow read-only access'
+  },
+  {
+    flag: '--dir-cache-time',
+    block: 'vfs',
+    name: 'dir_cache_time',
+    field: 'DirCacheTime',
+    label: 'Dir cache time',
+    type: 'duration',
+    help: 'Time to cache directory entries for, e.g. 5m'
+  },
+  {
+    flag: '--poll-interval',
+    block: 'vfs',
+    name: 'poll_interval',
+    field: 'PollInterval',
+    label: 'Poll interval',
+    type: 'duration',
+    help: 'Time to wait between polling for changes, 0 to disable'
+  },
+  {
+    flag: '--vfs-cache-max-age',
+    block: 'vfs',
+    name: 'vfs_cache_max_age',
+    field: 'CacheMaxAge',
+    label: 'Cache max age',
+    type: 'duration',
+    help: 'Max time since last access of objects in the cache'
+  },
+  {
+    flag: '--vfs-cache-max-size',
+    block: 'vfs',
+    name: 'vfs_cache_max_size',
+    field: 'CacheMaxSize',
+    label: 'Cache max size',
+    type: 'size',
+    help: 'Max total size of objects in the cache, e.g. 10G'
+  },
+  {
+    flag: '--vfs-cache-min-free-space',
+    block: 'vfs',
+    name: 'vfs_cache_min_free_space',
+    field: 'CacheMinFreeSpace',
+    label: 'Cache min free space',
+    type: 'size',
+    help: 'Evict cached objects when the cache disk has less free space, e.g. 5G'
+  },
+  {
+    flag: '--vfs-read-ahead',
+    block: 'vfs',
+    name: 'vfs_read_ahead',
+    field: 'ReadAhead',
+    label: 'Read ahead',
+    type: 'size',
+    help: 'Extra read ahead over --buffer-size when using cache mode full'
+  },
+  {
+    flag: '--buffer-size',
+    block: 'main',
+    name: 'buffer_size',
+    field: 'BufferSize',
+    label: 'Buffer size',
+    type: 'size',
+    help: 'In memory buffer size when reading files for each open file'
+  },
+  {
+    flag: '--uid',
+    block: 'vfs',
+    name: 'uid',
+    field: 'UID',
+    label: 'UID',
+    type: 'integer',
+    platforms: ['linux', 'darwin'],
+    help: 'Override the uid field set by the filesystem'
+  },
+  {
+    flag: '--gid',
+    block: 'vfs',
+    name: 'gid',
+    field: 'GID',
+    label: 'GID',
+    type: 'integer',
+    platforms: ['linux', 'darwin'],
+    help: 'Override the gid field set by the filesystem'
+  },
+  {
+    flag: '--umask',
+    block: 'vfs',
+    name: 'umask',
+    field: 'Umask',
+    label: 'Umask',
+    type: 'octal',
+    platforms: ['linux', 'darwin'],
+    help: 'Override the permission bits set by the filesystem, e.g. 022'
+  },
+  {
+    flag: '--allow-other',
+    block: 'mount',
+    name: 'allow_other',
+    field: 'AllowOther',
+    label: 'Allow other users',
+    type: 'boolean',
+    platforms: ['linux', 'darwin'],
+    help: 'Allow access to other users. On Linux needs user_allow_other in /etc/fuse.conf.'
+  },
+  {
+    flag: '--bwlimit-file',
+    block: 'main',
+    name: 'bwlimit_file',
+    field: 'BwLimitFile',
+    label: 'Bandwidth limit',
+    type: 'bwlimit',
+    help: 'Bandwidth limit per file of this mount, e.g. 1M or 512k:2M for upload:download, ' +
+      'or a timetable like "08:00,512k 19:00,off"'
+  }
+]
+
+const DurationPattern = /^(\d+(\.\d+)?|(\d+(\.\d+)?(ns|us|µs|ms|s|m|h|d|w|M|y))+|off)$/
+const SizePattern = /^(\d+(\.\d+)?([bkmgtpe]i?b?)?|off)$/i
+const RatePattern = '(off|\\d+(\\.\\d+)?([bkmgtpe]i?b?)?)'
+const BwLimitPattern = new RegExp(`^${RatePattern}(:${RatePattern})?$`, 'i')
+const BwTimetableSlotPattern = new RegExp(`^((mon|tue|wed|thu|fri|sat|sun)-)?\\d{1,2}:\\d{2},${RatePattern}(:${RatePattern})?$`, 'i')
+
+/**
+ * Options available on this platform
+ * @returns {Array}
+ * @private
+ */
+const getOptions = function () {
+  return MountOptions.filter(option => !option.platforms || option.platforms.indexOf(process.platform) > -1)
+}
+
+const findOption = function (flag) {
+  return MountOptions.find(option => option.flag === flag) || null
+}
+
+/**
+ * Check single value, empty values mean rclone's default
+ * @param {Object} option
+ * @param {string} value
+ * @throws {Error}
+ * @private
+ */
+const validateValue = function (option, value) {
+  value = (value === undefined || value === null ? '' : value).toString().trim()
+  if (value === '') {
+    return
+  }
+
+  const fail = function (hint) {
+    throw new Error(`Invalid ${option.label.toLowerCase()} "${value}", ${hint}`)
+  }
+
+  switch (option.type) {
+    case 'select':
+      if (option.choices.indexOf(value) === -1) fail(`use one of ${option.choices.join(', ')}`)
+      break
+    case 'boolean':
+      if (['true', 'false'].indexOf(value) === -1) fail('use true or false')
+      break
+    case 'duration':
+      if (!DurationPattern.test(value)) fail('use values like 30s, 5m or 1h30m')
+      break
+    case 'size':
+      if (!SizePattern.test(value)) fail('use values like 128M or 10G')
+      break
+    case 'integer':
+      if (!/^\d+$/.test(value)) fail('use a non-negative number')
+      break
+    case 'octal':
+      if (!/^[0-7]{3,4}$/.test(value)) fail('use octal permission bits like 022')
+      break
+    case 'bwlimit':
+      if (!BwLimitPattern.test(value) && !value.split(/\s+/).every(slot => BwTimetableSlotPattern.test(slot))) {
+        fail('use values like 1M, 512k:2M or "08:00,512k 19:00,off"')
+      }
+      break
+  }
+}
+
+/**
+ * Check known option values
+ * @param {{}} options Flag => value
+ * @throws {Error}
+ */
+const validate = function (options) {
+  Object.keys(options || {}).forEach(flag => {
+    const option = findOption(flag)
+    if (option) {
+      validateValue(option, options[flag])
+    }
+  })
+  return true
+}
+
+/**
+ * Convert the value to what the rc parameter expects
+ * @private
+ */
+const toRcValue = function (option, value) {
+  switch (option.type) {
+    case 'boolean':
+      return value === 'true' || value === true
+    case 'integer':
+      return parseInt(value, 10)
+    case 'octal':
+      return parseInt(value, 8)
+    default:
+      return value
+  }
+}
+
+/**
+ * Split stored options into mount/mount parameters
+ * @param {{}} options Flag => value
+ * @returns {{mountOpt: {}, vfsOpt: {}, config: {}, ignored: Array}}
+ */
+const toRcParams = function (options) {
+  const params = { mountOpt: {}, vfsOpt: {}, config: {}, ignored: [] }
+  Object.keys(options || {}).forEach(flag => {
+    const value = (options[flag] === undefined || options[flag] === null ? '' : options[flag]).toString().trim()
+    if (value === '') {
+      return
+    }
+    const option = findOption(flag)
+    if (!option) {
+      params.ignored.push(flag)
+      return
+    }
+    const target = option.block === 'vfs' ? params.vfsOpt : option.block === 'mount' ? params.mountOpt : params.config
+    target[option.field] = toRcValue(option, value)
+  })
+  return params
+}
+
+/**
+ * Find option schema entry in options/info response
+ * @private
+ */
+const findInfo = function (info, option) {
+  const block = info && Array.isArray(info[option.block]) ? info[option.block] : []
+  return block.find(item => item.Name === option.name) || null
+}
+
+/**
+ * Option field definitions for the mount settings editor, see createOptionsFields() in dialogs-preload.
+ * Help and current rclone values come from the running rcd when available.
+ * @param {{}} options Stored flag => value
+ * @param {{}|null} info Response of options/info
+ * @param {{}|null} current Response of options/get, used when options/info is not there (rclone < 1.65)
+ * @returns {Array}
+ */
+const getEditorFields = function (options, info, current) {
+  options = options || {}
+  return getOptions().map(option => {
+    const schema = findInfo(info, option)
+    let defaultValue = ''
+    if (schema) {
+      defaultValue = schema.ValueStr !== undefined ? schema.ValueStr : (schema.DefaultStr || '')
+    } else if (current && current[option.block] && current[option.block][option.field] !== undefined) {
+      defaultValue = current[option.block][option.field].toString()
+    }
+
+    const field = {
+      $Label: option.label,
+      $Type: option.type === 'select' || option.type === 'boolean'
+        ? option.type
+        : option.type === 'integer' ? 'numeric' : 'string',
+      Name: option.flag.replace(/^--/, ''),
+      Help: schema && schema.Help ? schema.Help : option.help,
+      Default: defaultValue,
+      Value: options[option.flag] !== undefined ? options[option.flag] : ''
+    }
+
+    if (option.type === 'select') {
+      field.Examples = [{ Value: '', Label: `rclone default${defaultValue ? ` (${defaultValue})` : ''}` }]
+        .concat(option.choices.map(choice => ({ Value: choice })))
+    }
+
+    return field
+  })
+}
+
+/**
+ * Convert editor form data back to stored options, options the editor doesn't know are kept
+ * @param {{}} data Namespaced form data, as returned by getTheFormData()
+ * @param {{}} previous Stored options
+ * @returns {{}}
+ */
+const fromEditorData = function (data, previous) {
+  data = data || {}
+  const options = Object.assign({}, previous || {})
+  getOptions().forEach(option => {
+    const value = data[option.flag.replace(/^--/, '')]
+    options[option.flag] = (value === undefined || value === null ? '' : value).toString().trim()
+  })
+  validate(options)
+  return options
+}
+
+module.exports = {
+  MountOptions,
+  validate,
+  toRcParams,
+  getEditorFields,
+  fromEditorData
+}
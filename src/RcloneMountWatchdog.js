@@ -0,0 +1,219 @@
+const { execFile } = require('child_process');
+const dialogs = require('./dialogs')
+const RcloneFsProbe = require('./RcloneFsProbe')
+
+/**
+ * Errors of a FUSE mount whose rclone side is gone
+ */
+const StaleMountErrors = ['ENOTCONN', 'EIO', 'ECONNABORTED', 'EHOSTDOWN'];
+
+/**
+ * Detach stale FUSE endpoint lazily, so the mount point can be used again
+ * @param {string} mountPoint
+ * @returns {Promise<boolean>} Unmounted
+ */
+const forceUnmount = function (mountPoint) {
+    let commands = [];
+    if (process.platform === 'linux') {
+        commands = [['fusermount3', ['-uz', mountPoint]], ['fusermount', ['-uz', mountPoint]]];
+    } else if (process.platform === 'darwin') {
+        commands = [['umount', ['-f', mountPoint]]];
+    }
+
+    return commands.reduce((previous, [command, args]) => previous.then(done => {
+        if (done) {
+            return true;
+        }
+        return new Promise(resolve => {
+            execFile(command, args, { timeout: 10000 }, error => resolve(!error));
+        });
+    }), Promise.resolve(false));
+};
+
+class RcloneMountWatchdog {
+    /**
+     * @param {RcloneApiService} apiService
+     * @param {Object} options
+     * @param {Function} options.getMountPoints Returns the mount cache, keyed by mount cache key
+     * @param {Function} options.remount Called with the cache key, resolves to true when mounted again
+     * @param {Function} [options.onUpdate] Called when a mount is lost or recovered
+     * @param {number} [options.interval] Check interval in ms
+     */
+    constructor(apiService, options) {
+        if (!apiService) throw new Error('apiService is required for RcloneMountWatchdog');
+        if (!options || !options.getMountPoints) throw new Error('getMountPoints is required for RcloneMountWatchdog');
+        if (!options.remount) throw new Error('remount is required for RcloneMountWatchdog');
+
+        this.apiService = apiService;
+        this.getMountPoints = options.getMountPoints;
+        this.remount = options.remount;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.interval = options.interval || 30000;
+        this.probeTimeout = 5000;
+        this.baseRetryDelay = 5000;
+        this.maxRetryDelay = 600000;
+        this.lost = new Map(); // cacheKey => { since, error, attempts, nextRetry }
+        this.probing = new Set(); // Mount paths whose probe process has not ended yet
+        this.timer = null;
+        this.checking = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        console.log('Starting mount watchdog');
+        this.timer = setInterval(() => this.check(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Check that the mount point answers, a stale FUSE mount fails or hangs.
+     * The listing runs in a child process, see RcloneFsProbe.
+     * @param {string} mountPoint
+     * @returns {Promise<string|null>} Error, null when healthy
+     * @private
+     */
+    async _probe(mountPoint) {
+        const hung = `Mount point did not answer within ${this.probeTimeout / 1000}s`;
+        if (this.probing.has(mountPoint)) {
+            // The last probe still hangs, don't pile up more
+            return hung;
+        }
+
+        this.probing.add(mountPoint);
+        let probe;
+        try {
+            probe = await RcloneFsProbe.readdir(mountPoint, this.probeTimeout);
+        } catch (error) {
+            this.probing.delete(mountPoint);
+            console.error(`Failed to probe ${mountPoint}:`, error.message);
+            return null;
+        }
+
+        // A killed probe stuck in the kernel ends only when the mount is detached
+        probe.exited.then(() => this.probing.delete(mountPoint));
+        if (probe.timedOut) {
+            return hung;
+        }
+        if (probe.code && StaleMountErrors.indexOf(probe.code) > -1) {
+            return probe.code === 'ENOTCONN' ? 'Transport endpoint is not connected' : `Mount point failed with ${probe.code}`;
+        }
+        // Other errors, e.g. permissions, are not the watchdog's business
+        return null;
+    }
+
+    /**
+     * Compare expected mounts with mount/listmounts and probes, remount the lost ones
+     */
+    async check() {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            const mountPoints = this.getMountPoints();
+            let listed = null;
+            try {
+                const response = await this.apiService.makeRequest('mount/listmounts', 'POST');
+                listed = new Set(Object.values(response.mountPoints || {}).map(item => item.MountPoint));
+            } catch (error) {
+                console.error('Watchdog failed to list mounts:', error.message);
+            }
+
+            for (const cacheKey of Object.keys(mountPoints)) {
+                const mount = mountPoints[cacheKey];
+                let error = null;
+                if (listed && !listed.has(mount.path)) {
+                    error = 'Not mounted by rclone anymore';
+                } else {
+                    error = await this._probe(mount.path);
+                }
+
+                if (!error) {
+                    if (this.lost.has(cacheKey)) {
+                        // Came back by itself, e.g. network returned
+                        this._recovered(cacheKey);
+                    }
+                    continue;
+                }
+
+                if (!this.lost.has(cacheKey)) {
+                    console.log(`Mount ${cacheKey} at ${mount.path} lost: ${error}`);
+                    this.lost.set(cacheKey, { since: Date.now(), error, attempts: 0, nextRetry: Date.now() });
+                    dialogs.notification(`Mount ${mount.path} was lost (${error}), reconnecting`);
+                    this.onUpdate();
+                }
+
+                await this._retry(cacheKey, mount);
+            }
+
+            // Forget mounts the user unmounted meanwhile
+            for (const cacheKey of this.lost.keys()) {
+                if (!mountPoints[cacheKey]) {
+                    this.lost.delete(cacheKey);
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async _retry(cacheKey, mount) {
+        const state = this.lost.get(cacheKey);
+        if (Date.now() < state.nextRetry) {
+            return;
+        }
+
+        state.attempts++;
+        console.log(`Remounting ${cacheKey}, attempt ${state.attempts}`);
+        await forceUnmount(mount.path);
+
+        let mounted = false;
+        try {
+            mounted = await this.remount(cacheKey);
+        } catch (error) {
+            state.error = error.message;
+        }
+
+        if (mounted) {
+            this._recovered(cacheKey);
+            return;
+        }
+
+        const delay = Math.min(this.baseRetryDelay * Math.pow(2, state.attempts - 1), this.maxRetryDelay);
+        state.nextRetry = Date.now() + delay;
+        console.log(`Remount of ${cacheKey} failed, next attempt in ${delay / 1000}s`);
+        this.onUpdate();
+    }
+
+    _recovered(cacheKey) {
+        const state = this.lost.get(cacheKey);
+        this.lost.delete(cacheKey);
+        const mount = this.getMountPoints()[cacheKey];
+        console.log(`Mount ${cacheKey} recovered after ${state ? state.attempts : 0} attempt(s)`);
+        dialogs.notification(`Mount ${mount ? mount.path : cacheKey} is back`);
+        this.onUpdate();
+    }
+
+    /**
+     * Get state of a lost mount
+     * @param {string} cacheKey
+     * @returns {{since: number, error: string, attempts: number, nextRetry: number}|null} null when healthy
+     */
+    getLostState(cacheKey) {
+        return this.lost.get(cacheKey) || null;
+    }
+}
+
+RcloneMountWatchdog.forceUnmount = forceUnmount;
+RcloneMountWatchdog.StaleMountErrors = StaleMountErrors;
+
+module.exports = RcloneMountWatchdog;
@@ -0,0 +1,48 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * rclone obscures passwords with AES-CTR under a key that is public in its source
+ * (fs/config/obscure), so revealing needs no rclone process and the secret never
+ * goes on a command line.
+ */
+const CryptKey = Buffer.from('9c935b48730a554d6bfd7c63c886a92bd390198eb8128afbf4de162b8b95f638', 'hex')
+
+const BlockSize = 16
+
+/**
+ * Reveal an obscured value, like rclone reveal
+ * @param {string} value
+ * @returns {Buffer|null} Revealed bytes, null when the value can't be obscured
+ */
+const reveal = function (value) {
+  // Unpadded base64url, Buffer would skip anything else silently
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value) || value.length % 4 === 1) {
+    return null
+  }
+  const ciphertext = Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+  if (ciphertext.length < BlockSize) {
+    return null
+  }
+  const decipher = crypto.createDecipheriv('aes-256-ctr', CryptKey, ciphertext.slice(0, BlockSize))
+  return Buffer.concat([decipher.update(ciphertext.slice(BlockSize)), decipher.final()])
+}
+
+/**
+ * Value is obscured by rclone. Its shape is not enough, a long plain text password can be
+ * valid base64 too: revealed, plain text comes out as random bytes, an obscured value as text.
+ * A plain text password that happens to reveal as text passes as obscured, the odds of that
+ * are negligible.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isObscured = function (value) {
+  const revealed = reveal(value)
+  return revealed !== null && !/[\u0000-\u0008\u000b-\u001f\u007f�]/.test(revealed.toString('utf-8'))
+}
+
+module.exports = {
+  reveal,
+  isObscured
+}
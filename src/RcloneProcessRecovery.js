@@ -0,0 +1,336 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { execFile } = require('child_process');
+const RcloneApiService = require('./RcloneApiService');
+const RcloneMountWatchdog = require('./RcloneMountWatchdog');
+const RcloneFsProbe = require('./RcloneFsProbe');
+
+/**
+ * Decode octal escapes of /proc/mounts, e.g. \040 for space
+ * @private
+ */
+const decodeMountPath = function (value) {
+    return value.replace(/\\([0-7]{3})/g, (match, code) => String.fromCharCode(parseInt(code, 8)));
+};
+
+class RcloneProcessRecovery {
+    /**
+     * @param {Object} options
+     * @param {string} options.pidFile Where the PID of our rcd is recorded
+     * @param {number} options.port rc port
+     * @param {string} options.user rc user
+     * @param {string} options.pass rc password
+     * @param {string} options.configFile rclone.conf our rcd has to use
+     * @param {Function} [options.getRcloneBinary] Binary our rcd runs from
+     */
+    constructor(options) {
+        if (!options || !options.pidFile) throw new Error('pidFile is required for RcloneProcessRecovery');
+
+        this.pidFile = options.pidFile;
+        this.port = options.port;
+        this.configFile = options.configFile;
+        this.getRcloneBinary = options.getRcloneBinary || (() => 'rclone');
+        this.apiService = new RcloneApiService(options.port, options.user, options.pass);
+        // Something else may listen on the port, don't wait for it long
+        this.apiService.timeout = 3000;
+        this.apiService.maxRetries = 1;
+        this.adopted = false;
+        this.adoptedPid = null;
+    }
+
+    /**
+     * Record PID of a started rcd, so a crash leaves a trace
+     * @param {number} pid
+     */
+    writePid(pid) {
+        try {
+            fs.writeFileSync(this.pidFile, JSON.stringify({ pid, port: this.port, started: Date.now() }));
+        } catch (error) {
+            console.error('Failed to write rcd PID file:', error.message);
+        }
+    }
+
+    clearPid() {
+        try {
+            fs.unlinkSync(this.pidFile);
+        } catch (error) {
+            // Not there
+        }
+    }
+
+    _readPid() {
+        try {
+            const record = JSON.parse(fs.readFileSync(this.pidFile, 'utf-8'));
+            return record && record.pid ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _isAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Command line of a process
+     * @param {number} pid
+     * @returns {Promise<string|null>}
+     * @private
+     */
+    _getCommandLine(pid) {
+        if (process.platform === 'linux') {
+            try {
+                return Promise.resolve(fs.readFileSync(`/proc/${pid}/cmdline`, 'utf-8').split('\0').join(' ').trim());
+            } catch (error) {
+                return Promise.resolve(null);
+            }
+        }
+        const [command, args] = process.platform === 'win32'
+            ? ['powershell', ['-NoProfile', '-Command', `(Get-CimInstance Win32_Process -Filter 'ProcessId=${parseInt(pid, 10)}').CommandLine`]]
+            : ['ps', ['-p', `${pid}`, '-o', 'command=']];
+        return new Promise(resolve => {
+            execFile(command, args, { timeout: 5000 }, (error, stdout) => resolve(error ? null : stdout.trim()));
+        });
+    }
+
+    /**
+     * Make sure the PID is an rcd of our rclone binary, PIDs get reused after reboot
+     * and RcloneTray itself has rclone in its name
+     * @param {number} pid
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _isRcloneProcess(pid) {
+        const commandLine = await this._getCommandLine(pid);
+        if (!commandLine) {
+            return false;
+        }
+        const binary = this.getRcloneBinary();
+        // Windows quotes the binary when its path has spaces
+        const rest = [binary, `"${binary}"`]
+            .filter(prefix => commandLine.startsWith(`${prefix} `))
+            .map(prefix => commandLine.slice(prefix.length + 1))[0];
+        return rest !== undefined && /^rcd(\s|$)/.test(rest);
+    }
+
+    async _waitForExit(pid, timeout) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            if (!this._isAlive(pid)) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return !this._isAlive(pid);
+    }
+
+    /**
+     * Config file of the running rcd, null when rclone is too old for config/paths
+     * @private
+     */
+    async _getConfigFile() {
+        try {
+            const response = await this.apiService.makeRequest('config/paths', 'POST');
+            return response.config || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * PID of the rcd answering on the port, null when rclone is too old for core/pid
+     * @private
+     */
+    async _getServerPid() {
+        try {
+            const response = await this.apiService.makeRequest('core/pid', 'POST');
+            return (response && response.pid) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Nothing listens on the port, rcd can take it
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    _isPortFree() {
+        return new Promise(resolve => {
+            const server = net.createServer();
+            server.unref();
+            server.once('error', error => resolve(error.code !== 'EADDRINUSE' && error.code !== 'EACCES'));
+            server.listen(this.port, '127.0.0.1', () => server.close(() => resolve(true)));
+        });
+    }
+
+    /**
+     * Find rcd left by a crashed instance, adopt it when it is usable, terminate it otherwise.
+     * Only the rcd of the recorded PID is touched, anything else on the port is left alone.
+     * @returns {Promise<{action: string, pid: number|null, reason: string}>} action is none, adopted,
+     *   terminated or occupied, when another process holds the port
+     */
+    async recover() {
+        const record = this._readPid();
+        const pid = record && this._isAlive(record.pid) && await this._isRcloneProcess(record.pid) ? record.pid : null;
+        const responding = await this.apiService.checkConnection();
+        if (!pid) {
+            this.clearPid();
+        }
+
+        if (responding) {
+            const serverPid = await this._getServerPid();
+            if (!pid || serverPid !== pid) {
+                console.log(`Port ${this.port} is held by ${serverPid ? `rcd PID ${serverPid}` : 'an rcd'} RcloneTray did not start`);
+                return { action: 'occupied', pid: serverPid, reason: `Port ${this.port} is used by another rclone` };
+            }
+        } else if (!pid) {
+            if (!await this._isPortFree()) {
+                return { action: 'occupied', pid: null, reason: `Port ${this.port} is used by another program` };
+            }
+            return { action: 'none', pid: null, reason: 'No leftover rcd' };
+        }
+
+        if (responding) {
+            const configFile = await this._getConfigFile();
+            if (!configFile || path.resolve(configFile) === path.resolve(this.configFile)) {
+                this.adopted = true;
+                this.adoptedPid = pid;
+                console.log(`Adopting leftover rcd on port ${this.port}${pid ? `, PID ${pid}` : ''}`);
+                return { action: 'adopted', pid, reason: `rcd is still running on port ${this.port}` };
+            }
+            console.log(`Leftover rcd uses ${configFile} instead of ${this.configFile}, terminating`);
+            try {
+                await this.apiService.makeRequest('core/quit', 'POST');
+            } catch (error) {
+                // Connection drops while it quits
+            }
+        }
+
+        if (pid && !await this._waitForExit(pid, responding ? 5000 : 0)) {
+            console.log(`Terminating leftover rcd, PID ${pid}`);
+            try {
+                process.kill(pid, 'SIGTERM');
+                if (!await this._waitForExit(pid, 5000)) {
+                    process.kill(pid, 'SIGKILL');
+                    await this._waitForExit(pid, 2000);
+                }
+            } catch (error) {
+                console.error(`Failed to terminate rcd ${pid}:`, error.message);
+            }
+        }
+
+        this.clearPid();
+        return { action: 'terminated', pid, reason: 'Leftover rcd could not be reused' };
+    }
+
+    /**
+     * List FUSE mounts of rclone on this machine
+     * @returns {Promise<Array<string>>} Mount points
+     * @private
+     */
+    _listFuseMounts() {
+        if (process.platform === 'linux') {
+            try {
+                return Promise.resolve(fs.readFileSync('/proc/mounts', 'utf-8')
+                    .split('\n')
+                    .map(line => line.split(' '))
+                    .filter(fields => fields.length > 2 && /^fuse\.rclone$/.test(fields[2]))
+                    .map(fields => decodeMountPath(fields[1])));
+            } catch (error) {
+                return Promise.resolve([]);
+            }
+        }
+        if (process.platform === 'darwin') {
+            return new Promise(resolve => {
+                execFile('mount', [], { timeout: 5000 }, (error, stdout) => {
+                    resolve(error ? [] : stdout.split('\n')
+                        .map(line => line.match(/^.+ on (.+) \((macfuse|osxfuse|fuse-t)/))
+                        .filter(match => match)
+                        .map(match => match[1]));
+                });
+            });
+        }
+        return Promise.resolve([]);
+    }
+
+    /**
+     * Mount is dead: listing it fails with a stale mount error or never answers.
+     * A live mount of another rclone answers and stays.
+     * @param {string} mountPoint
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _isDeadMount(mountPoint) {
+        try {
+            const probe = await RcloneFsProbe.readdir(mountPoint, 5000);
+            return probe.timedOut || RcloneMountWatchdog.StaleMountErrors.indexOf(probe.code) > -1;
+        } catch (error) {
+            console.error(`Failed to probe ${mountPoint}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Lazily unmount dead rclone FUSE mounts under our mount paths
+     * @param {Array<string>} knownPaths Mount paths and mount roots of the app
+     * @param {Array<string>} [activePaths] Mounts of the running rcd, these stay
+     * @returns {Promise<Array<string>>} Unmounted paths
+     */
+    async cleanStaleMounts(knownPaths, activePaths = []) {
+        const known = knownPaths.map(item => path.resolve(item));
+        const active = activePaths.map(item => path.resolve(item));
+        const isKnown = mountPoint => known.some(item => mountPoint === item || mountPoint.startsWith(item + path.sep));
+
+        const candidates = (await this._listFuseMounts())
+            .map(item => path.resolve(item))
+            .filter(mountPoint => isKnown(mountPoint) && active.indexOf(mountPoint) === -1);
+
+        const unmounted = [];
+        for (const mountPoint of candidates) {
+            if (!await this._isDeadMount(mountPoint)) {
+                continue;
+            }
+            console.log(`Unmounting stale mount ${mountPoint}`);
+            if (await RcloneMountWatchdog.forceUnmount(mountPoint)) {
+                unmounted.push(mountPoint);
+            } else {
+                console.error(`Failed to unmount stale mount ${mountPoint}`);
+            }
+        }
+        return unmounted;
+    }
+
+    /**
+     * Stop the adopted rcd, it is not our child process
+     */
+    async stopAdopted() {
+        if (!this.adopted) {
+            return;
+        }
+        this.adopted = false;
+
+        try {
+            await this.apiService.makeRequest('core/quit', 'POST');
+        } catch (error) {
+            // Connection drops while it quits
+        }
+        if (this.adoptedPid && !await this._waitForExit(this.adoptedPid, 5000)) {
+            try {
+                process.kill(this.adoptedPid, 'SIGTERM');
+            } catch (error) {
+                console.error('Failed to stop adopted rcd:', error.message);
+            }
+        }
+        this.adoptedPid = null;
+        this.clearPid();
+    }
+}
+
+module.exports = RcloneProcessRecovery;
@@ -0,0 +1,130 @@
+'use strict'
+
+const { execFile, spawn } = require('child_process')
+
+/**
+ * Service name of the stored secrets
+ */
+const Service = 'rclonetray'
+
+/**
+ * Quote an argument of rclone's --password-command, it is split like a CSV line with spaces
+ * @param {string} value
+ * @returns {string}
+ * @private
+ */
+const quoteCommandArg = function (value) {
+  return `"${value.replace(/"/g, '""')}"`
+}
+
+/**
+ * Run a command, the secret goes to stdin so it never shows up in the process list
+ * @param {string} command
+ * @param {Array<string>} args
+ * @param {string} [input]
+ * @returns {Promise<string>} stdout
+ * @private
+ */
+const run = function (command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] })
+    let stdout = ''
+    let stderr = ''
+    const timer = setTimeout(() => child.kill(), 15000)
+    child.stdout.on('data', data => { stdout += data })
+    child.stderr.on('data', data => { stderr += data })
+    child.on('error', error => {
+      clearTimeout(timer)
+      reject(error)
+    })
+    child.on('close', code => {
+      clearTimeout(timer)
+      if (code === 0) {
+        resolve(stdout)
+      } else {
+        reject(new Error(stderr.trim() || `${command} exited with code ${code}`))
+      }
+    })
+    child.stdin.end(input || '')
+  })
+}
+
+/**
+ * Secret stores: libsecret (GNOME Keyring, KWallet) through secret-tool on Linux,
+ * Keychain through security on macOS. Windows has no command line for it.
+ * @returns {Promise<boolean>}
+ */
+const isAvailable = function () {
+  if (process.platform === 'darwin') {
+    return Promise.resolve(true)
+  }
+  if (process.platform !== 'linux') {
+    return Promise.resolve(false)
+  }
+  // secret-tool without arguments prints usage and fails, it only has to exist
+  return new Promise(resolve => {
+    execFile('secret-tool', [], { timeout: 5000 }, error => resolve(!error || error.code !== 'ENOENT'))
+  })
+}
+
+/**
+ * @param {string} account
+ * @returns {Promise<string|null>} null when nothing is stored
+ */
+const get = function (account) {
+  const lookup = process.platform === 'darwin'
+    ? run('security', ['find-generic-password', '-s', Service, '-a', account, '-w'])
+    : run('secret-tool', ['lookup', 'service', Service, 'account', account])
+  return lookup
+    .then(stdout => stdout.replace(/\r?\n$/, '') || null)
+    .catch(() => null)
+}
+
+/**
+ * @param {string} account
+ * @param {string} secret
+ * @param {string} label Shown in the keyring manager
+ * @returns {Promise}
+ */
+const set = function (account, secret, label) {
+  if (process.platform === 'darwin') {
+    // Interactive mode reads the command from stdin, with the secret in it
+    const quote = value => `"${value.replace(/["\\]/g, '\\$&')}"`
+    return run('security', ['-i'],
+      `add-generic-password -U -s ${quote(Service)} -a ${quote(account)} -l ${quote(label)} -w ${quote(secret)}\n`)
+  }
+  return run('secret-tool', ['store', `--label=${label}`, 'service', Service, 'account', account], secret)
+}
+
+/**
+ * @param {string} account
+ * @returns {Promise}
+ */
+const remove = function (account) {
+  const removal = process.platform === 'darwin'
+    ? run('security', ['delete-generic-password', '-s', Service, '-a', account])
+    : run('secret-tool', ['clear', 'service', Service, 'account', account])
+  return removal.catch(() => null)
+}
+
+/**
+ * Command for rclone's --password-command that prints the stored secret,
+ * so rclone takes it from the keyring and it is not passed around
+ * @param {string} account
+ * @returns {string}
+ */
+const getPasswordCommand = function (account) {
+  const command = process.platform === 'darwin'
+    ? ['security', 'find-generic-password', '-s', Service, '-a', account, '-w']
+    : ['secret-tool', 'lookup', 'service', Service, 'account', account]
+  return command.map(quoteCommandArg).join(' ')
+}
+
+module.exports = {
+  isAvailable,
+  get,
+  set,
+  remove,
+  getPasswordCommand,
+  quoteCommandArg
+}
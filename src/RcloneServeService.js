@@ -0,0 +1,376 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const dialogs = require('./dialogs')
+
+/**
+ * Protocols that can be served, in the order they appear in the tray menu.
+ */
+const ServeProtocols = {
+    http: 'HTTP',
+    ftp: 'FTP',
+    restic: 'Restic',
+    webdav: 'WebDAV'
+};
+
+class RcloneServeService {
+    /**
+     * @param {RcloneApiService|null} apiService Running rcd, null in CLI mode
+     * @param {Object} servePoints Shared cache, keyed by bookmark name, then protocol
+     * @param {Object} options
+     * @param {Function} options.getRcloneBinary
+     * @param {Function} options.getConfigFile
+     * @param {Function} [options.getPasswordArgs] Returns arguments to read an encrypted config
+     * @param {Function} [options.getEnv] Returns the environment of serve processes
+     * @param {Function} options.getCredentials Returns { user, pass } for the served endpoints
+     * @param {Function} options.onUpdate Called when a serve starts, stops or dies
+     */
+    constructor(apiService, servePoints, options) {
+        if (!servePoints) throw new Error('servePoints is required for RcloneServeService');
+        if (!options || !options.getRcloneBinary) throw new Error('getRcloneBinary is required for RcloneServeService');
+
+        this.apiService = apiService;
+        this.servePoints = servePoints;
+        this.getRcloneBinary = options.getRcloneBinary;
+        this.getConfigFile = options.getConfigFile;
+        this.getPasswordArgs = options.getPasswordArgs || (() => []);
+        this.getEnv = options.getEnv || (() => process.env);
+        this.getCredentials = options.getCredentials || (() => ({}));
+        this.onUpdate = options.onUpdate || (() => {});
+        this.startupTimeout = 15000;
+
+        // Switched off once rcd reports it has no serve/* methods (rclone < 1.68)
+        this.useApi = !!apiService;
+    }
+
+    _getServeInfo(bookmark, protocol) {
+        const serves = this.servePoints[bookmark.$name];
+        return serves && serves[protocol] ? serves[protocol] : null;
+    }
+
+    _setServeInfo(bookmark, protocol, info) {
+        if (!this.servePoints[bookmark.$name]) {
+            this.servePoints[bookmark.$name] = {};
+        }
+        this.servePoints[bookmark.$name][protocol] = info;
+    }
+
+    _deleteServeInfo(bookmarkName, protocol) {
+        const serves = this.servePoints[bookmarkName];
+        if (!serves) {
+            return;
+        }
+        delete serves[protocol];
+        if (Object.keys(serves).length === 0) {
+            delete this.servePoints[bookmarkName];
+        }
+    }
+
+    _formatUrl(protocol, addr) {
+        // rclone reports wildcard listeners as [::]:port or :port
+        const address = addr.replace(/^(\[::\]|0\.0\.0\.0)?:/, '127.0.0.1:');
+        return `${protocol === 'ftp' ? 'ftp' : 'http'}://${address}/`;
+    }
+
+    _isUnsupportedMethodError(error) {
+        return !!(error && error.message && /HTTP error 404|couldn't find method/i.test(error.message));
+    }
+
+    /**
+     * Ask the OS for a free local port for a supervised serve process
+     * @returns {Promise<number>}
+     */
+    _findFreePort() {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer();
+            server.unref();
+            server.on('error', reject);
+            server.listen(0, '127.0.0.1', () => {
+                const port = server.address().port;
+                server.close(() => resolve(port));
+            });
+        });
+    }
+
+    async _startApiServe(bookmark, protocol) {
+        const credentials = this.getCredentials();
+        const params = {
+            type: protocol,
+            fs: `${bookmark.$name}:`,
+            addr: '127.0.0.1:0'
+        };
+
+        if (credentials.user) {
+            params.user = credentials.user;
+            params.pass = credentials.pass || '';
+        }
+
+        const response = await this.apiService.makeRequest('serve/start', 'POST', params);
+        if (!response || !response.id || !response.addr) {
+            throw new Error('Failed to get serve ID from response');
+        }
+
+        return {
+            id: response.id,
+            url: this._formatUrl(protocol, response.addr),
+            process: null,
+            startTime: Date.now()
+        };
+    }
+
+    /**
+     * @param {Object} bookmark
+     * @param {string} protocol
+     * @param {Object} starting Entry shown while starting, gets the process so stopServe can kill it
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _startProcessServe(bookmark, protocol, starting) {
+        const port = await this._findFreePort();
+        if (starting.stopping) {
+            throw new Error(`Serve ${protocol} was stopped while starting`);
+        }
+
+        const credentials = this.getCredentials();
+        const args = [
+            'serve',
+            protocol,
+            `${bookmark.$name}:`,
+            `--addr=127.0.0.1:${port}`,
+            `--config=${this.getConfigFile()}`,
+            ...this.getPasswordArgs()
+        ];
+
+        // Credentials go through the environment, argv can be read by every local user
+        const env = Object.assign({}, this.getEnv());
+        if (credentials.user) {
+            env.RCLONE_USER = credentials.user;
+            env.RCLONE_PASS = credentials.pass || '';
+        }
+
+        console.log('Starting serve process:', this.getRcloneBinary(), args.join(' '));
+
+        const serveProcess = spawn(this.getRcloneBinary(), args, {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            env,
+            detached: false
+        });
+        starting.process = serveProcess;
+
+        const info = {
+            id: null,
+            url: this._formatUrl(protocol, `127.0.0.1:${port}`),
+            process: serveProcess,
+            startTime: Date.now()
+        };
+
+        // Wait until the server reports it is listening, or the process dies
+        await new Promise((resolve, reject) => {
+            let output = '';
+            const settle = (error) => {
+                clearTimeout(timer);
+                // Stop buffering, the streams keep flowing so the serve never blocks on a full pipe
+                serveProcess.stdout.removeListener('data', onData);
+                serveProcess.stderr.removeListener('data', onData);
+                serveProcess.removeListener('error', onError);
+                serveProcess.removeListener('close', onClose);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            const timer = setTimeout(() => {
+                serveProcess.kill();
+                settle(new Error(`Serve ${protocol} did not start within ${this.startupTimeout}ms`));
+            }, this.startupTimeout);
+
+            const onData = (data) => {
+                output += data.toString();
+                if (/serving|listening|starting .* server on/i.test(output)) {
+                    settle();
+                }
+            };
+            const onError = (error) => settle(error);
+            const onClose = (code) => settle(new Error(output.trim() || `Serve ${protocol} exited with code ${code}`));
+
+            serveProcess.stdout.on('data', onData);
+            serveProcess.stderr.on('data', onData);
+            serveProcess.once('error', onError);
+            serveProcess.once('close', onClose);
+        });
+
+        // Supervise: forget the serve if the process goes away on its own
+        serveProcess.on('error', (error) => {
+            console.error(`Serve ${protocol} for ${bookmark.$name} failed:`, error);
+        });
+        serveProcess.once('close', (code) => {
+            const current = this._getServeInfo(bookmark, protocol);
+            if (current && current.process === serveProcess) {
+                console.log(`Serve ${protocol} for ${bookmark.$name} exited with code ${code}`);
+                this._deleteServeInfo(bookmark.$name, protocol);
+                if (!current.stopping) {
+                    dialogs.notification(`Serving ${bookmark.$name} over ${ServeProtocols[protocol] || protocol} stopped unexpectedly`);
+                }
+                this.onUpdate();
+            }
+        });
+
+        return info;
+    }
+
+    /**
+     * Start serving a bookmark
+     * @param {Object} bookmark
+     * @param {string} protocol
+     * @returns {Promise<string|boolean>} The served URL, false when stopped while starting
+     */
+    async startServe(bookmark, protocol) {
+        if (!(protocol in ServeProtocols)) {
+            throw new Error(`Unsupported serve protocol ${protocol}`);
+        }
+
+        const existing = this._getServeInfo(bookmark, protocol);
+        if (existing) {
+            console.log(`Serve ${protocol} already active for ${bookmark.$name}`);
+            return existing.url;
+        }
+
+        // Mark as starting so the tray shows the item as busy, stopServe marks it as stopping
+        const starting = { id: null, url: '', process: null, startTime: Date.now() };
+        this._setServeInfo(bookmark, protocol, starting);
+        this.onUpdate();
+
+        try {
+            let info = null;
+            if (this.useApi) {
+                try {
+                    info = await this._startApiServe(bookmark, protocol);
+                } catch (error) {
+                    if (!this._isUnsupportedMethodError(error)) {
+                        throw error;
+                    }
+                    console.log('rcd does not support serve/start, falling back to serve process');
+                    this.useApi = false;
+                }
+            }
+
+            if (!info && !starting.stopping) {
+                info = await this._startProcessServe(bookmark, protocol, starting);
+            }
+
+            if (starting.stopping) {
+                // The serve came up after stopServe, which could not reach it yet
+                if (info) {
+                    await this._stopServeInfo(info);
+                }
+                console.log(`Serve ${protocol} for ${bookmark.$name} was stopped while starting`);
+                return false;
+            }
+
+            this._setServeInfo(bookmark, protocol, info);
+            console.log(`Serving ${bookmark.$name} over ${protocol} at ${info.url}`);
+            dialogs.notification(`Serving ${bookmark.$name} over ${ServeProtocols[protocol]} at ${info.url}`);
+            return info.url;
+        } catch (error) {
+            if (starting.stopping) {
+                console.log(`Serve ${protocol} for ${bookmark.$name} was stopped while starting`);
+                return false;
+            }
+            if (this._getServeInfo(bookmark, protocol) === starting) {
+                this._deleteServeInfo(bookmark.$name, protocol);
+            }
+            console.error(`Failed to serve ${bookmark.$name} over ${protocol}:`, error);
+            throw error;
+        } finally {
+            this.onUpdate();
+        }
+    }
+
+    /**
+     * Kill the serve process or stop the serve of rcd
+     * @param {Object} info
+     * @private
+     */
+    async _stopServeInfo(info) {
+        info.stopping = true;
+        if (info.process) {
+            info.process.kill();
+        } else if (info.id && this.apiService) {
+            await this.apiService.makeRequest('serve/stop', 'POST', { id: info.id });
+        }
+    }
+
+    /**
+     * Stop serving a bookmark
+     * @param {Object} bookmark
+     * @param {string} protocol
+     * @returns {Promise<boolean>}
+     */
+    async stopServe(bookmark, protocol) {
+        const info = this._getServeInfo(bookmark, protocol);
+        if (!info) {
+            console.log(`Serve ${protocol} not active for ${bookmark.$name}`);
+            return false;
+        }
+
+        // A serve still starting is stopped by startServe once it is up
+        info.stopping = true;
+        try {
+            await this._stopServeInfo(info);
+        } catch (error) {
+            // The server may already be gone, e.g. after rcd restarted
+            if (!(error.message && error.message.includes('not found'))) {
+                console.error(`Failed to stop serve ${protocol} for ${bookmark.$name}:`, error);
+                throw error;
+            }
+        }
+
+        this._deleteServeInfo(bookmark.$name, protocol);
+        console.log(`Stopped serving ${bookmark.$name} over ${protocol}`);
+        this.onUpdate();
+        return true;
+    }
+
+    /**
+     * Get serving status
+     * @param {Object} bookmark
+     * @param {string} protocol
+     * @returns {string|boolean} URL, empty string while starting, false when not serving
+     */
+    getServeStatus(bookmark, protocol) {
+        const info = this._getServeInfo(bookmark, protocol);
+        return info ? info.url : false;
+    }
+
+    /**
+     * Stop all serves of a bookmark
+     * @param {Object} bookmark
+     */
+    async stopBookmarkServes(bookmark) {
+        const serves = this.servePoints[bookmark.$name] || {};
+        await Promise.allSettled(Object.keys(serves).map(protocol => this.stopServe(bookmark, protocol)));
+    }
+
+    async cleanup() {
+        console.log('Stopping all serves');
+        const stopPromises = [];
+
+        Object.keys(this.servePoints).forEach(bookmarkName => {
+            Object.keys(this.servePoints[bookmarkName]).forEach(protocol => {
+                stopPromises.push(
+                    this.stopServe({ $name: bookmarkName }, protocol)
+                        .catch(error => {
+                            console.error(`Cleanup failed for serve ${bookmarkName} ${protocol}:`, error);
+                        })
+                );
+            });
+        });
+
+        await Promise.allSettled(stopPromises);
+    }
+}
+
+RcloneServeService.ServeProtocols = ServeProtocols;
+
+module.exports = RcloneServeService;
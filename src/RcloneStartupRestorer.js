@@ -0,0 +1,129 @@
+const dialogs = require('./dialogs')
+
+class RcloneStartupRestorer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxAttempts] Attempts per point before giving up
+     * @param {number} [options.baseRetryDelay] First retry delay in ms, doubled on every next retry
+     */
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 4;
+        this.baseRetryDelay = options.baseRetryDelay || 5000;
+        this.results = new Map(); // id => { ok, error, attempts }
+        this.running = false;
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+    }
+
+    /**
+     * Find points that depend on each other in a circle, they can never start
+     * @param {Array} points
+     * @returns {Set<string>}
+     * @private
+     */
+    _findCycles(points) {
+        const byId = new Map(points.map(point => [point.id, point]));
+        const cyclic = new Set();
+        const visit = (id, stack) => {
+            if (stack.indexOf(id) > -1) {
+                stack.slice(stack.indexOf(id)).forEach(item => cyclic.add(item));
+                return;
+            }
+            const point = byId.get(id);
+            if (!point) {
+                return;
+            }
+            point.dependsOn.forEach(dependency => visit(dependency, stack.concat(id)));
+        };
+        points.forEach(point => visit(point.id, []));
+        return cyclic;
+    }
+
+    /**
+     * Start one point after its dependencies and delay, retrying with backoff
+     * @private
+     */
+    async _restorePoint(point, started, promises) {
+        for (const dependency of point.dependsOn) {
+            if (!promises.has(dependency)) {
+                // Dependency is not restored on startup, nothing to wait for
+                continue;
+            }
+            const result = await promises.get(dependency);
+            if (!result.ok) {
+                return { ok: false, attempts: 0, error: `${result.label} was not restored` };
+            }
+        }
+
+        await this._sleep(started + point.delay * 1000 - Date.now());
+
+        let error = null;
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                console.log(`Restoring ${point.label}, attempt ${attempt}`);
+                if (await point.run()) {
+                    return { ok: true, attempts: attempt, error: null };
+                }
+                error = 'failed to start';
+            } catch (runError) {
+                error = runError.message;
+            }
+
+            if (attempt < this.maxAttempts) {
+                const delay = this.baseRetryDelay * Math.pow(2, attempt - 1);
+                console.log(`Restoring ${point.label} failed (${error}), retrying in ${delay / 1000}s`);
+                await this._sleep(delay);
+            }
+        }
+
+        return { ok: false, attempts: this.maxAttempts, error };
+    }
+
+    /**
+     * Restore points in dependency order and report failures in one notification
+     * @param {Array<{id: string, label: string, delay: number, dependsOn: Array<string>, run: Function}>} points
+     * @returns {Promise<Map>} Results by point id
+     */
+    async restore(points) {
+        if (this.running) {
+            return this.results;
+        }
+        this.running = true;
+        this.results = new Map();
+
+        try {
+            const started = Date.now();
+            const cyclic = this._findCycles(points);
+            const promises = new Map();
+
+            // Every point waits for the promises of its dependencies, so the order follows from them
+            points.forEach(point => {
+                const promise = cyclic.has(point.id)
+                    ? Promise.resolve({ ok: false, attempts: 0, error: 'circular start order' })
+                    : Promise.resolve().then(() => this._restorePoint(point, started, promises));
+                promises.set(point.id, promise.then(result => {
+                    result.label = point.label;
+                    this.results.set(point.id, result);
+                    return result;
+                }));
+            });
+
+            await Promise.all(promises.values());
+
+            const failed = [...this.results.values()].filter(result => !result.ok);
+            console.log(`Startup restore finished, ${points.length - failed.length} of ${points.length} restored`);
+            if (failed.length) {
+                dialogs.notification('Could not restore on startup: ' +
+                    failed.map(result => `${result.label} (${result.error})`).join(', '));
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return this.results;
+    }
+}
+
+module.exports = RcloneStartupRestorer;
@@ -0,0 +1,277 @@
+/**
+ * Kinds of jobs that get their own stats group
+ */
+const StatsGroupKinds = ['sync', 'mount', 'download', 'upload'];
+
+/**
+ * Stats group of a job, e.g. sync/MyDrive/photos or mount/MyDrive/default
+ * @param {string} kind One of StatsGroupKinds
+ * @param {string} bookmarkName
+ * @param {string} [pointName] Sync or mount point name
+ * @returns {string}
+ */
+const getGroupName = function (kind, bookmarkName, pointName = 'default') {
+    return `${kind}/${bookmarkName}/${pointName}`;
+};
+
+/**
+ * @param {string} group
+ * @returns {{kind: string, bookmarkName: string, pointName: string}|null}
+ */
+const parseGroupName = function (group) {
+    const match = (group || '').match(/^([a-z]+)\/([^/]+)\/(.+)$/);
+    if (!match || StatsGroupKinds.indexOf(match[1]) === -1) {
+        return null;
+    }
+    return { kind: match[1], bookmarkName: match[2], pointName: match[3] };
+};
+
+const formatBytes = function (bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${unit ? bytes.toFixed(1) : Math.round(bytes)} ${units[unit]}`;
+};
+
+const formatEta = function (seconds) {
+    if (seconds === null || seconds === undefined || seconds < 0) {
+        return '';
+    }
+    seconds = Math.round(seconds);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    if (seconds < 3600) {
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+/**
+ * Short progress text like "1.2 MB/s, 45%, ETA 1m 5s"
+ * @param {Object} progress
+ * @returns {string}
+ */
+const formatProgress = function (progress) {
+    const parts = [`${formatBytes(progress.speed)}/s`];
+    if (progress.percent !== null) {
+        parts.push(`${progress.percent}%`);
+    }
+    const eta = formatEta(progress.eta);
+    if (eta) {
+        parts.push(`ETA ${eta}`);
+    }
+    return parts.join(', ');
+};
+
+class RcloneStatsService {
+    /**
+     * @param {RcloneApiService} apiService
+     * @param {Object} [options]
+     * @param {Function} [options.isActive] Polling is skipped while this returns false
+     * @param {Function} [options.onUpdate] Called when the shown progress changes
+     * @param {number} [options.interval] Polling interval in ms
+     */
+    constructor(apiService, options = {}) {
+        if (!apiService) throw new Error('apiService is required for RcloneStatsService');
+
+        this.apiService = apiService;
+        this.isActive = options.isActive || (() => true);
+        this.onUpdate = options.onUpdate || (() => {});
+        this.interval = options.interval || 3000;
+        this.groups = new Map(); // group => progress
+        this.timer = null;
+        this.polling = false;
+        this.signature = '';
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this._poll(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.groups.clear();
+    }
+
+    /**
+     * Forget stats of previous run before a job reuses the group
+     * @param {string} group
+     */
+    async resetGroup(group) {
+        try {
+            await this.apiService.makeRequest('core/stats-reset', 'POST', { group });
+        } catch (error) {
+            // Group doesn't exist yet
+        }
+    }
+
+    /**
+     * @param {string} group
+     * @returns {Promise<Object|null>} Raw core/stats of the group
+     */
+    async getGroupStats(group) {
+        try {
+            return await this.apiService.makeRequest('core/stats', 'POST', { group });
+        } catch (error) {
+            console.error(`Failed to get stats of ${group}:`, error.message);
+            return null;
+        }
+    }
+
+    async deleteGroup(group) {
+        this.groups.delete(group);
+        try {
+            await this.apiService.makeRequest('core/stats-delete', 'POST', { group });
+        } catch (error) {
+            // Already gone
+        }
+    }
+
+    /**
+     * Turn core/stats response into speed, percent and ETA, or null when idle
+     * @param {string} kind
+     * @param {Object} stats
+     * @returns {Object|null}
+     * @private
+     */
+    _toProgress(kind, stats) {
+        const transferring = stats.transferring || [];
+        const checking = stats.checking || [];
+        if (!transferring.length && !checking.length) {
+            return null;
+        }
+
+        let bytes = stats.bytes || 0;
+        let totalBytes = stats.totalBytes || 0;
+        let eta = stats.eta;
+
+        // Mount groups live as long as the mount, only the current uploads matter
+        if (kind === 'mount') {
+            bytes = transferring.reduce((sum, item) => sum + (item.bytes || 0), 0);
+            totalBytes = transferring.reduce((sum, item) => sum + (item.size || 0), 0);
+            eta = transferring.reduce((max, item) => Math.max(max, item.eta || 0), 0) || null;
+        }
+
+        return {
+            speed: stats.speed || 0,
+            bytes,
+            totalBytes,
+            percent: totalBytes > 0 ? Math.min(100, Math.floor(bytes * 100 / totalBytes)) : null,
+            eta: eta === undefined ? null : eta,
+            transfers: transferring.length
+        };
+    }
+
+    async _poll() {
+        if (this.polling) {
+            return;
+        }
+
+        if (!this.isActive()) {
+            if (this.groups.size) {
+                this.groups.clear();
+                this._notifyIfChanged();
+            }
+            return;
+        }
+
+        this.polling = true;
+        try {
+            const response = await this.apiService.makeRequest('core/group-list', 'POST');
+            const groups = (response.groups || []).filter(group => parseGroupName(group));
+            const current = new Map();
+
+            for (const group of groups) {
+                const stats = await this.getGroupStats(group);
+                const progress = stats && this._toProgress(parseGroupName(group).kind, stats);
+                if (progress) {
+                    current.set(group, progress);
+                }
+            }
+
+            this.groups = current;
+            this._notifyIfChanged();
+        } catch (error) {
+            console.error('Failed to poll transfer stats:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    _notifyIfChanged() {
+        const total = this.getTotalProgress();
+        const signature = [...this.groups.keys()].map(group => `${group}:${formatProgress(this.groups.get(group))}`).join('|') +
+            (total ? formatProgress(total) : '');
+        if (signature !== this.signature) {
+            this.signature = signature;
+            this.onUpdate();
+        }
+    }
+
+    /**
+     * Sum up progress of several groups
+     * @param {Array<Object>} items
+     * @returns {Object|null}
+     * @private
+     */
+    _combine(items) {
+        if (!items.length) {
+            return null;
+        }
+        const bytes = items.reduce((sum, item) => sum + item.bytes, 0);
+        const totalBytes = items.reduce((sum, item) => sum + item.totalBytes, 0);
+        const etas = items.map(item => item.eta).filter(eta => eta !== null);
+        return {
+            speed: items.reduce((sum, item) => sum + item.speed, 0),
+            bytes,
+            totalBytes,
+            percent: totalBytes > 0 ? Math.min(100, Math.floor(bytes * 100 / totalBytes)) : null,
+            eta: etas.length ? Math.max(...etas) : null,
+            transfers: items.reduce((sum, item) => sum + item.transfers, 0)
+        };
+    }
+
+    /**
+     * @param {string} group
+     * @returns {Object|null}
+     */
+    getProgress(group) {
+        return this.groups.get(group) || null;
+    }
+
+    /**
+     * Progress of all jobs of a bookmark
+     * @param {string} bookmarkName
+     * @returns {Object|null}
+     */
+    getBookmarkProgress(bookmarkName) {
+        return this._combine([...this.groups.keys()]
+            .filter(group => parseGroupName(group).bookmarkName === bookmarkName)
+            .map(group => this.groups.get(group)));
+    }
+
+    /**
+     * Progress of everything that is transferring now
+     * @returns {Object|null}
+     */
+    getTotalProgress() {
+        return this._combine([...this.groups.values()]);
+    }
+}
+
+RcloneStatsService.getGroupName = getGroupName;
+RcloneStatsService.parseGroupName = parseGroupName;
+RcloneStatsService.formatProgress = formatProgress;
+RcloneStatsService.formatBytes = formatBytes;
+
+module.exports = RcloneStatsService;
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bisync conflict policies, values of --conflict-resolve.
+ * Path1 is the remote and Path2 is the local folder, see RcloneSyncService._runBisync().
+ */
+const ConflictPolicies = {
+    newer: 'Keep newer file',
+    older: 'Keep older file',
+    larger: 'Keep larger file',
+    smaller: 'Keep smaller file',
+    path1: 'Remote always wins',
+    path2: 'Local always wins',
+    none: 'Keep both, review later'
+};
+
+/**
+ * Suffixes passed as --conflict-suffix, so the side of a renamed copy is known
+ */
+const ConflictSuffixes = {
+    remote: 'remote-conflict',
+    local: 'local-conflict'
+};
+
+/**
+ * Copies renamed by us (file.txt.remote-conflict1) or by the old
+ * hard-coded defaults (file.txt.conflict1)
+ * @private
+ */
+const ConflictCopyPattern = /^(.+)\.(remote-conflict|local-conflict|conflict)(\d+)$/;
+
+// Don't walk huge trees forever
+const MaxScannedEntries = 200000;
+
+const ConflictActions = ['keepLocal', 'keepRemote', 'keepBoth'];
+
+/**
+ * Get conflicting paths reported in bisync output
+ * @param {string} output
+ * @returns {Array<string>}
+ */
+const parseBisyncOutput = function (output) {
+    const paths = new Set();
+    (output || '').split(/\r?\n/).forEach(line => {
+        const match = line.match(/New or changed in both paths\s+-\s+(.+?)\s*$/);
+        if (match) {
+            paths.add(match[1]);
+        }
+    });
+    return [...paths];
+};
+
+const getSide = function (suffix) {
+    if (suffix === ConflictSuffixes.remote) return 'remote';
+    if (suffix === ConflictSuffixes.local) return 'local';
+    return null;
+};
+
+/**
+ * Find conflict copies in the local folder, grouped by the original file
+ * @param {string} localPath
+ * @returns {Promise<Array<{path: string, originalExists: boolean, copies: Array}>>}
+ */
+const scan = async function (localPath) {
+    const groups = new Map();
+    const stack = [''];
+    let scanned = 0;
+
+    while (stack.length && scanned < MaxScannedEntries) {
+        const relativeDir = stack.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(path.join(localPath, relativeDir), { withFileTypes: true });
+        } catch (error) {
+            continue;
+        }
+
+        for (const entry of entries) {
+            scanned++;
+            const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+            if (entry.isDirectory()) {
+                stack.push(relativePath);
+                continue;
+            }
+
+            const match = entry.isFile() && entry.name.match(ConflictCopyPattern);
+            if (!match) {
+                continue;
+            }
+
+            const original = relativeDir ? path.join(relativeDir, match[1]) : match[1];
+            if (!groups.has(original)) {
+                groups.set(original, []);
+            }
+            const stat = await fs.promises.stat(path.join(localPath, relativePath));
+            groups.get(original).push({
+                file: relativePath,
+                side: getSide(match[2]),
+                number: parseInt(match[3], 10),
+                size: stat.size,
+                modified: stat.mtimeMs
+            });
+        }
+    }
+
+    return [...groups.keys()].sort().map(original => {
+        let originalStat = null;
+        try {
+            originalStat = fs.statSync(path.join(localPath, original));
+        } catch (error) {
+            // Both copies renamed, with --conflict-resolve none
+        }
+        const conflict = {
+            path: original,
+            originalExists: !!originalStat,
+            size: originalStat ? originalStat.size : 0,
+            modified: originalStat ? originalStat.mtimeMs : 0,
+            copies: groups.get(original).sort((a, b) => b.number - a.number)
+        };
+        conflict.localVersion = getVersion(conflict, 'local');
+        conflict.remoteVersion = getVersion(conflict, 'remote');
+        return conflict;
+    });
+};
+
+/**
+ * Get the file holding the version of the given side, relative to the sync folder.
+ * When only the other side was renamed, the original is the winner from this side.
+ * @param {Object} conflict
+ * @param {string} side local or remote
+ * @returns {string|null}
+ */
+const getVersion = function (conflict, side) {
+    const copy = conflict.copies.find(item => item.side === side);
+    if (copy) {
+        return copy.file;
+    }
+    const otherSide = side === 'local' ? 'remote' : 'local';
+    if (conflict.originalExists && conflict.copies.some(item => item.side === otherSide)) {
+        return conflict.path;
+    }
+    return null;
+};
+
+/**
+ * Pick a free "name (remote copy).ext" like path
+ * @private
+ */
+const getKeptCopyPath = function (localPath, original, label) {
+    const extension = path.extname(original);
+    const base = original.substring(0, original.length - extension.length);
+    let candidate = `${base} (${label})${extension}`;
+    for (let index = 2; fs.existsSync(path.join(localPath, candidate)); index++) {
+        candidate = `${base} (${label} ${index})${extension}`;
+    }
+    return candidate;
+};
+
+/**
+ * Resolve conflict in the local folder, the next bisync run carries the result to the remote
+ * @param {string} localPath
+ * @param {Object} conflict As returned by scan()
+ * @param {string} action keepLocal, keepRemote or keepBoth
+ */
+const resolve = function (localPath, conflict, action) {
+    if (ConflictActions.indexOf(action) === -1) {
+        throw new Error(`Unknown conflict action ${action}`);
+    }
+
+    const originalFile = path.join(localPath, conflict.path);
+
+    if (action === 'keepBoth') {
+        let copies = conflict.copies;
+        if (!conflict.originalExists) {
+            // Nothing has the original name, the local version takes it back
+            const first = copies.find(item => item.side === 'local') || copies[0];
+            fs.renameSync(path.join(localPath, first.file), originalFile);
+            copies = copies.filter(item => item !== first);
+        }
+        copies.forEach(copy => {
+            const label = copy.side ? `${copy.side} copy` : 'conflicted copy';
+            fs.renameSync(path.join(localPath, copy.file), path.join(localPath, getKeptCopyPath(localPath, conflict.path, label)));
+        });
+        return;
+    }
+
+    const side = action === 'keepLocal' ? 'local' : 'remote';
+    const version = getVersion(conflict, side);
+    if (!version) {
+        throw new Error(`Can't tell which copy of ${conflict.path} came from the ${side} side`);
+    }
+
+    if (version !== conflict.path) {
+        fs.renameSync(path.join(localPath, version), originalFile);
+    }
+    conflict.copies
+        .filter(copy => copy.file !== version)
+        .forEach(copy => fs.unlinkSync(path.join(localPath, copy.file)));
+};
+
+module.exports = {
+    ConflictPolicies,
+    ConflictSuffixes,
+    parseBisyncOutput,
+    scan,
+    getVersion,
+    resolve
+};
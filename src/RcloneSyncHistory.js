@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+class RcloneSyncHistory {
+    /**
+     * @param {string} historyFile JSON file to keep the history in
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries] Max runs kept per sync point
+     * @param {number} [options.maxBytes] Max size of the history file, oldest runs are dropped first
+     */
+    constructor(historyFile, options = {}) {
+        if (!historyFile) throw new Error('historyFile is required for RcloneSyncHistory');
+
+        this.historyFile = historyFile;
+        this.maxEntries = options.maxEntries || 200;
+        this.maxBytes = options.maxBytes || 1024 * 1024;
+        this.entries = {};
+        this._load();
+    }
+
+    _load() {
+        try {
+            if (fs.existsSync(this.historyFile)) {
+                this.entries = JSON.parse(fs.readFileSync(this.historyFile, 'utf-8')) || {};
+            }
+        } catch (error) {
+            console.error('Failed to read sync history, starting a new one:', error);
+            this.entries = {};
+        }
+    }
+
+    _save() {
+        try {
+            let content = JSON.stringify(this.entries);
+
+            // Drop the oldest runs of any sync point until it fits
+            while (Buffer.byteLength(content) > this.maxBytes && this._dropOldest()) {
+                content = JSON.stringify(this.entries);
+            }
+
+            fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+            fs.writeFileSync(this.historyFile, content);
+        } catch (error) {
+            console.error('Failed to save sync history:', error);
+        }
+    }
+
+    _dropOldest() {
+        let oldestKey = null;
+        Object.keys(this.entries).forEach(syncKey => {
+            const runs = this.entries[syncKey];
+            if (runs.length && (!oldestKey || runs[0].startTime < this.entries[oldestKey][0].startTime)) {
+                oldestKey = syncKey;
+            }
+        });
+
+        if (!oldestKey) {
+            return false;
+        }
+
+        this.entries[oldestKey].shift();
+        if (!this.entries[oldestKey].length) {
+            delete this.entries[oldestKey];
+        }
+        return true;
+    }
+
+    /**
+     * Record finished run
+     * @param {string} syncKey
+     * @param {Object} run
+     */
+    add(syncKey, run) {
+        const entry = {
+            startTime: run.startTime,
+            endTime: run.endTime || Date.now(),
+            duration: (run.endTime || Date.now()) - run.startTime,
+            mode: run.mode || '',
+            result: run.result || (run.error ? 'error' : 'success'),
+            bytes: run.bytes || 0,
+            transfers: run.transfers || 0,
+            deletes: run.deletes || 0,
+            errors: run.errors || 0,
+            conflicts: run.conflicts || 0,
+            error: run.error || ''
+        };
+
+        if (!this.entries[syncKey]) {
+            this.entries[syncKey] = [];
+        }
+
+        this.entries[syncKey].push(entry);
+        if (this.entries[syncKey].length > this.maxEntries) {
+            this.entries[syncKey].splice(0, this.entries[syncKey].length - this.maxEntries);
+        }
+
+        this._save();
+        return entry;
+    }
+
+    /**
+     * Get runs of sync point, newest first
+     * @param {string} syncKey
+     * @returns {Array}
+     */
+    get(syncKey) {
+        return (this.entries[syncKey] || []).slice().reverse();
+    }
+
+    /**
+     * @param {string} syncKey
+     * @returns {Object|null}
+     */
+    getLast(syncKey) {
+        const runs = this.entries[syncKey];
+        return runs && runs.length ? runs[runs.length - 1] : null;
+    }
+
+    clear(syncKey) {
+        delete this.entries[syncKey];
+        this._save();
+    }
+}
+
+module.exports = RcloneSyncHistory;
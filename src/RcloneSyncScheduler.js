@@ -0,0 +1,338 @@
+const dialogs = require('./dialogs')
+
+/**
+ * Schedule types a sync point can have
+ */
+const ScheduleTypes = {
+    manual: 'Manual only',
+    startup: 'On startup',
+    interval: 'Every N minutes',
+    cron: 'At times (cron)'
+};
+
+const CronFieldRanges = [
+    [0, 59], // minute
+    [0, 23], // hour
+    [1, 31], // day of month
+    [1, 12], // month
+    [0, 7]   // day of week, 0 and 7 are Sunday
+];
+
+/**
+ * Parse one cron field, supports *, lists, ranges and steps (e.g. 1-5, *\/15, 0,30)
+ * @param {string} field
+ * @param {number} min
+ * @param {number} max
+ * @returns {Set<number>|null} null for "any"
+ * @private
+ */
+const parseCronField = function (field, min, max) {
+    if (field === '*') {
+        return null;
+    }
+
+    const values = new Set();
+    field.split(',').forEach(part => {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron field "${field}"`);
+        }
+
+        let from = match[1] === '*' ? min : parseInt(match[2], 10);
+        let to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : from);
+        const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+        // "5/15" means from 5 to the end of the range
+        if (match[4] !== undefined && match[3] === undefined && match[1] !== '*') {
+            to = max;
+        }
+
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`Invalid cron field "${field}"`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+};
+
+/**
+ * Parse cron-like schedule. Accepts 5-field cron expressions separated by ";"
+ * or a plain list of times like "09:00, 18:30".
+ * @param {string} expression
+ * @returns {Array<Array<Set<number>|null>>}
+ */
+const parseCron = function (expression) {
+    const source = (expression || '').trim();
+    if (!source) {
+        throw new Error('Empty schedule');
+    }
+
+    if (/^\d{1,2}:\d{2}(\s*,\s*\d{1,2}:\d{2})*$/.test(source)) {
+        return source.split(',').map(time => {
+            const [hour, minute] = time.trim().split(':');
+            return parseCron(`${parseInt(minute, 10)} ${parseInt(hour, 10)} * * *`)[0];
+        });
+    }
+
+    return source.split(';').map(item => {
+        const fields = item.trim().split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Invalid cron expression "${item.trim()}", expected 5 fields`);
+        }
+        const parsed = fields.map((field, index) => parseCronField(field, ...CronFieldRanges[index]));
+        // Treat 7 as Sunday
+        if (parsed[4] && parsed[4].has(7)) {
+            parsed[4].add(0);
+        }
+        return parsed;
+    });
+};
+
+const cronSpecMatchesDay = function (spec, date) {
+    const [, , daysOfMonth, months, daysOfWeek] = spec;
+    if (months && !months.has(date.getMonth() + 1)) {
+        return false;
+    }
+    // Standard cron: when both day fields are restricted, either may match
+    if (daysOfMonth && daysOfWeek) {
+        return daysOfMonth.has(date.getDate()) || daysOfWeek.has(date.getDay());
+    }
+    if (daysOfMonth) {
+        return daysOfMonth.has(date.getDate());
+    }
+    if (daysOfWeek) {
+        return daysOfWeek.has(date.getDay());
+    }
+    return true;
+};
+
+/**
+ * Find next time matching the cron expression, strictly after the given time
+ * @param {string} expression
+ * @param {Date} [after]
+ * @returns {Date|null}
+ */
+const getNextCronTime = function (expression, after = new Date()) {
+    const specs = parseCron(expression);
+    const limit = after.getTime() + 366 * 24 * 3600 * 1000;
+    let best = null;
+
+    specs.forEach(spec => {
+        const [minutes, hours] = spec;
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        while (date.getTime() <= limit) {
+            if (!cronSpecMatchesDay(spec, date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+            if (hours && !hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+            if (minutes && !minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+            if (!best || date < best) {
+                best = new Date(date.getTime());
+            }
+            break;
+        }
+    });
+
+    return best;
+};
+
+class RcloneSyncScheduler {
+    /**
+     * @param {RcloneSyncService} syncService
+     * @param {Object} options
+     * @param {Function} options.getSyncPoints Returns [{ bookmark, config }] of all sync points
+     * @param {Function} [options.onUpdate] Called when next run times or queue change
+     */
+    constructor(syncService, options) {
+        if (!syncService) throw new Error('syncService is required for RcloneSyncScheduler');
+        if (!options || !options.getSyncPoints) throw new Error('getSyncPoints is required for RcloneSyncScheduler');
+
+        this.syncService = syncService;
+        this.getSyncPoints = options.getSyncPoints;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.tickInterval = 15000;
+        this.maxConcurrentRuns = 1;
+        this.nextRuns = new Map();   // syncKey => { signature, time }
+        this.queue = [];
+        this.running = new Set();
+        this.timer = null;
+    }
+
+    _getSignature(config) {
+        return [config.schedule, config.scheduleInterval, config.scheduleCron].join('|');
+    }
+
+    /**
+     * Compute next run time for sync point
+     * @param {Object} config
+     * @param {Date} [after]
+     * @returns {Date|null}
+     */
+    computeNextRun(config, after = new Date()) {
+        if (config.schedule === 'interval') {
+            const minutes = parseFloat(config.scheduleInterval);
+            if (!(minutes > 0)) {
+                return null;
+            }
+            return new Date(after.getTime() + minutes * 60000);
+        }
+
+        if (config.schedule === 'cron') {
+            try {
+                return getNextCronTime(config.scheduleCron, after);
+            } catch (error) {
+                console.error(`Invalid schedule for sync point ${config.name}:`, error.message);
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        console.log('Starting sync scheduler');
+
+        // Startup runs are done by RcloneStartupRestorer, in the configured order
+        this._tick();
+        this.timer = setInterval(() => this._tick(), this.tickInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.queue = [];
+    }
+
+    _tick() {
+        const now = new Date();
+        const seen = new Set();
+        let changed = false;
+
+        this.getSyncPoints().forEach(({ bookmark, config }) => {
+            const syncKey = this.syncService._getSyncKey(bookmark, config.name);
+            const signature = this._getSignature(config);
+            seen.add(syncKey);
+
+            let planned = this.nextRuns.get(syncKey);
+            if (!planned || planned.signature !== signature) {
+                planned = { signature, time: this.computeNextRun(config, now) };
+                this.nextRuns.set(syncKey, planned);
+                changed = true;
+            }
+
+            if (!planned.time || planned.time > now) {
+                return;
+            }
+
+            if (this.isBusy(bookmark, config.name)) {
+                console.log(`Skipping scheduled run of ${syncKey}, previous run still going`);
+            } else {
+                this._enqueue(bookmark, config, 'schedule');
+            }
+
+            planned.time = this.computeNextRun(config, now);
+            changed = true;
+        });
+
+        // Forget sync points that were deleted
+        for (const syncKey of this.nextRuns.keys()) {
+            if (!seen.has(syncKey)) {
+                this.nextRuns.delete(syncKey);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.onUpdate();
+        }
+    }
+
+    /**
+     * Check if the sync point is running or waiting in the queue
+     * @param {Object} bookmark
+     * @param {string} syncName
+     * @returns {boolean}
+     */
+    isBusy(bookmark, syncName) {
+        const syncKey = this.syncService._getSyncKey(bookmark, syncName);
+        const status = this.syncService.getSyncStatus(bookmark, syncName);
+        return this.running.has(syncKey) ||
+            (status && status.status !== 'idle') ||
+            this.queue.some(item => item.syncKey === syncKey);
+    }
+
+    _enqueue(bookmark, config, reason) {
+        const syncKey = this.syncService._getSyncKey(bookmark, config.name);
+        if (this.isBusy(bookmark, config.name)) {
+            console.log(`Sync ${syncKey} already queued or running, not queueing (${reason})`);
+            return false;
+        }
+
+        console.log(`Queueing sync ${syncKey} (${reason})`);
+        this.queue.push({ syncKey, bookmark, config, reason });
+        this._processQueue();
+        return true;
+    }
+
+    _processQueue() {
+        while (this.running.size < this.maxConcurrentRuns && this.queue.length > 0) {
+            const item = this.queue.shift();
+            this.running.add(item.syncKey);
+            this._run(item).then(() => {
+                this.running.delete(item.syncKey);
+                this._processQueue();
+            });
+        }
+    }
+
+    async _run({ syncKey, bookmark, config, reason }) {
+        try {
+            console.log(`Running ${reason} sync ${syncKey}`);
+            const started = await this.syncService.startSync(bookmark, config, { unattended: true });
+            if (started) {
+                await this.syncService.waitForSync(bookmark, config.name);
+            }
+        } catch (error) {
+            console.error(`Scheduled sync ${syncKey} failed:`, error);
+            dialogs.notification(`Scheduled sync failed for ${bookmark.$name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the time of next scheduled run
+     * @param {Object} bookmark
+     * @param {string} syncName
+     * @returns {Date|null}
+     */
+    getNextRun(bookmark, syncName) {
+        const planned = this.nextRuns.get(this.syncService._getSyncKey(bookmark, syncName));
+        return planned ? planned.time : null;
+    }
+}
+
+RcloneSyncScheduler.ScheduleTypes = ScheduleTypes;
+RcloneSyncScheduler.parseCron = parseCron;
+RcloneSyncScheduler.getNextCronTime = getNextCronTime;
+
+module.exports = RcloneSyncScheduler;
@@ -1,10 +1,36 @@
 const { dialog } = require('electron');
 const fs = require('fs');
+const chokidar = require('chokidar');
 const dialogs = require('./dialogs')
+const settings = require('./settings')
+const RcloneFilters = require('./RcloneFilters')
+const RcloneSyncConflicts = require('./RcloneSyncConflicts')
+const RcloneStatsService = require('./RcloneStatsService')
 
+/**
+ * One-way sync modes and the rc methods that run them.
+ * With direction 'upload' local is the source, with 'download' the remote is.
+ */
+const OneWaySyncModes = {
+    sync: 'sync/sync',  // Make destination identical to source, deletes on destination
+    copy: 'sync/copy',  // Copy new and changed files, never deletes
+    move: 'sync/move'   // Outbox: transfer, then delete from source
+};
 
 class RcloneSyncService {
-    constructor(apiService, getSyncConfig, saveSyncConfig) {
+    /**
+     * @param {RcloneApiService} apiService
+     * @param {Function} getSyncConfig
+     * @param {Function} saveSyncConfig
+     * @param {Object} [options]
+     * @param {Object} [options.downloads] Shared cache of running downloads, keyed by bookmark name
+     * @param {Object} [options.uploads] Shared cache of running uploads, keyed by bookmark name
+     * @param {Object} [options.automaticUploads] Shared cache of local folder watchers, keyed by bookmark name
+     * @param {Function} [options.onUpdate] Called when a transfer starts or finishes
+     * @param {RcloneSyncHistory} [options.history] Where finished sync runs are recorded
+     * @param {RcloneStatsService} [options.stats] Live progress of jobs, by stats group
+     */
+    constructor(apiService, getSyncConfig, saveSyncConfig, options = {}) {
         if (!apiService) throw new Error('apiService is required for RcloneSyncService');
         if (!getSyncConfig) throw new Error('getSyncConfig is required for RcloneSyncService');
         if (!saveSyncConfig) throw new Error('saveSyncConfig is required for RcloneSyncService');
@@ -16,6 +42,13 @@ class RcloneSyncService {
         this.healthCheckInterval = 30000;
         this.jobTimeout = 3600000; // 1 hour timeout for jobs
         this.statusCheckInterval = 1000; // 1 second between status checks
+        this.downloads = options.downloads || {};
+        this.uploads = options.uploads || {};
+        this.automaticUploads = options.automaticUploads || {};
+        this.onUpdate = options.onUpdate || (() => {});
+        this.history = options.history || null;
+        this.stats = options.stats || null;
+        this.conflicts = new Map(); // syncKey => { scanning, list }
         this._startHealthCheck();
     }
 
@@ -108,10 +141,29 @@ class RcloneSyncService {
         }
     }
 
-    async _runBisync(remotePath, localPath, useResync = false) {
-        const requestId = Math.random().toString(36).substring(7);
-        console.log(`[${requestId}] Starting bisync:`, { remotePath, localPath, useResync });
+    /**
+     * Conflict handling options of a bisync run
+     * @param {Object} config Sync point config
+     * @returns {{resolve: string, loser: string, suffix: string}}
+     * @private
+     */
+    _getConflictOptions(config) {
+        return {
+            resolve: config.conflictResolve in RcloneSyncConflicts.ConflictPolicies
+                ? config.conflictResolve
+                : 'newer',
+            loser: config.conflictLoser === 'delete' ? 'delete' : 'num',
+            // Remote is Path1, local is Path2
+            suffix: `${RcloneSyncConflicts.ConflictSuffixes.remote},${RcloneSyncConflicts.ConflictSuffixes.local}`
+        };
+    }
 
+    /**
+     * Arguments of a bisync dry run for the preview, the run itself uses _getBisyncParams
+     * @private
+     */
+    _getBisyncArgs(remotePath, localPath, useResync, config) {
+        const conflict = this._getConflictOptions(config);
         const baseArgs = [
             remotePath,
             localPath,
@@ -119,7 +171,9 @@ class RcloneSyncService {
             '--create-empty-src-dirs',
             '--resilient',
             '--ignore-case',
-            '--conflict-resolve', 'newer',  // При конфликте берем более новый файл
+            '--conflict-resolve', conflict.resolve,
+            '--conflict-loser', conflict.loser,
+            '--conflict-suffix', conflict.suffix,
             '--compare', 'modtime,size',    // Сравниваем по времени модификации и размеру
             '--modify-window', '2s',
             '--timeout', '30s',
@@ -129,6 +183,8 @@ class RcloneSyncService {
             '-v'
         ];
 
+        baseArgs.push(...RcloneFilters.toArgs(config.filters));
+
         // При первом запуске используем --resync для полной синхронизации
         if (useResync) {
             baseArgs.push(
@@ -137,40 +193,144 @@ class RcloneSyncService {
             );
         }
 
-        try {
-            const jobId = await this._makeJobRequest('core/command', {
-                command: 'bisync',
-                arg: baseArgs
-            }, 30000); // 30 секунд на запуск bisync
+        return baseArgs;
+    }
 
-            return jobId;
+    /**
+     * Parameters of sync/bisync matching _getBisyncArgs, which the preview runs
+     * @private
+     */
+    _getBisyncParams(remotePath, localPath, useResync, config) {
+        const conflict = this._getConflictOptions(config);
+        const params = {
+            path1: remotePath,
+            path2: localPath,
+            force: true,
+            createEmptySrcDirs: true,
+            resilient: true,
+            ignoreListingChecksum: true,
+            noCleanup: true,
+            conflictResolve: conflict.resolve,
+            conflictLoser: conflict.loser,
+            conflictSuffix: conflict.suffix,
+            compare: 'modtime,size',
+            _config: {
+                IgnoreCaseSync: true,
+                ModifyWindow: 2e9,  // Наносекунды, 2s
+                Timeout: 30e9,      // 30s
+                Transfers: 1
+            }
+        };
+
+        const filter = RcloneFilters.toRcFilter(config.filters);
+        if (filter) {
+            params._filter = filter;
+        }
+
+        if (useResync) {
+            params.resync = true;
+            params.resyncMode = 'newer';
+        }
+
+        return params;
+    }
+
+    async _runBisync(remotePath, localPath, useResync = false, config = {}, group = null) {
+        const requestId = Math.random().toString(36).substring(7);
+        console.log(`[${requestId}] Starting bisync:`, { remotePath, localPath, useResync });
+
+        const params = this._getBisyncParams(remotePath, localPath, useResync, config);
+        if (group) {
+            params._group = group;
+            if (this.stats) {
+                await this.stats.resetGroup(group);
+            }
+        }
+
+        try {
+            return await this._makeJobRequest('sync/bisync', params, 30000); // 30 секунд на запуск bisync
         } catch (error) {
             console.error(`[${requestId}] Bisync failed:`, error);
             throw error;
         }
     }
 
-    async _initialSync(remotePath, localPath) {
+    async _runOneWay(mode, direction, remotePath, localPath, config = {}, group = null) {
+        const requestId = Math.random().toString(36).substring(7);
+        const [srcFs, dstFs] = direction === 'download'
+            ? [remotePath, localPath]
+            : [localPath, remotePath];
+
+        console.log(`[${requestId}] Starting ${mode}:`, { srcFs, dstFs });
+
+        const params = {
+            srcFs,
+            dstFs,
+            createEmptySrcDirs: true,
+            _config: {
+                Transfers: parseInt(config.transfers, 10) || 2,
+                Checkers: parseInt(config.checkers, 10) || 4
+            }
+        };
+
+        if (mode === 'sync') {
+            params._config.MaxDelete = parseInt(config['max-delete'], 10) || -1;
+        }
+
+        if (mode === 'move') {
+            params.deleteEmptySrcDirs = true;
+        }
+
+        const filter = RcloneFilters.toRcFilter(config.filters);
+        if (filter) {
+            params._filter = filter;
+        }
+
+        if (group) {
+            params._group = group;
+            if (this.stats) {
+                await this.stats.resetGroup(group);
+            }
+        }
+
+        try {
+            return await this._makeJobRequest(OneWaySyncModes[mode], params, 30000);
+        } catch (error) {
+            console.error(`[${requestId}] ${mode} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Arguments of the copy before the first bisync run, its preview uses the same
+     * @private
+     */
+    _getInitialSyncArgs(remotePath, localPath, filters) {
+        return [
+            remotePath,
+            localPath,
+            '--create-empty-src-dirs',
+            '--inplace',
+            '--verbose',
+            '--track-renames',
+            '--ignore-existing',    // Пропускаем существующие файлы
+            '--modify-window', '2s',
+            '--timeout', '30s',
+            '--transfers', '1',
+            '--check-access',       // Проверяем доступ перед копированием
+            '-v',
+            ...RcloneFilters.toArgs(filters)
+        ];
+    }
+
+    async _initialSync(remotePath, localPath, filters = null) {
         const requestId = Math.random().toString(36).substring(7);
         console.log(`[${requestId}] Starting initial sync:`, { remotePath, localPath });
 
         try {
             const jobId = await this._makeJobRequest('core/command', {
                 command: 'copy',  // Используем copy вместо sync чтобы избежать удаления
-                arg: [
-                    remotePath,
-                    localPath,
-                    '--create-empty-src-dirs',
-                    '--inplace',
-                    '--verbose',
-                    '--track-renames',
-                    '--ignore-existing',    // Пропускаем существующие файлы
-                    '--modify-window', '2s',
-                    '--timeout', '30s',
-                    '--transfers', '1',
-                    '--check-access',       // Проверяем доступ перед копированием
-                    '-v'
-                ]
+                arg: this._getInitialSyncArgs(remotePath, localPath, filters)
             });
 
             await this._waitForJob(jobId);
@@ -181,6 +341,175 @@ class RcloneSyncService {
         }
     }
 
+    /**
+     * Convert rclone size like "1.5 MiB" or "12 B" to bytes
+     * @param {string} size
+     * @returns {number}
+     * @private
+     */
+    _parseSize(size) {
+        const match = (size || '').match(/^([\d.]+)\s*([KMGTPE]?)i?B?(ytes)?$/i);
+        if (!match) {
+            return 0;
+        }
+        const power = ' KMGTPE'.indexOf((match[2] || ' ').toUpperCase());
+        return Math.round(parseFloat(match[1]) * Math.pow(1024, Math.max(power, 0)));
+    }
+
+    /**
+     * Parse the final stats block rclone prints with -v
+     * @param {string} output
+     * @returns {{bytes: number, bytesText: string, transfers: number, plannedTransfers: number, deletes: number, errors: number}}
+     * @private
+     */
+    _parseStatsOutput(output) {
+        const stats = {
+            bytes: 0,
+            bytesText: '',
+            transfers: 0,
+            plannedTransfers: 0,
+            deletes: 0,
+            errors: 0
+        };
+
+        // Stats are printed periodically, the last block wins
+        (output || '').split(/\r?\n/).forEach(line => {
+            const transferred = line.match(/^\s*Transferred:\s+(\d+)\s*\/\s*(\d+),/);
+            if (transferred) {
+                stats.transfers = parseInt(transferred[1], 10);
+                stats.plannedTransfers = parseInt(transferred[2], 10);
+                return;
+            }
+
+            const bytes = line.match(/^\s*Transferred:\s+([\d.]+\s*\w+)\s*\/\s*([\d.]+\s*\w+),/);
+            if (bytes) {
+                stats.bytes = this._parseSize(bytes[1]);
+                stats.bytesText = bytes[2];
+                return;
+            }
+
+            const deleted = line.match(/^\s*Deleted:\s+(\d+)/);
+            if (deleted) {
+                stats.deletes = parseInt(deleted[1], 10);
+                return;
+            }
+
+            const errors = line.match(/^\s*Errors:\s+(\d+)/);
+            if (errors) {
+                stats.errors = parseInt(errors[1], 10);
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Parse output of a --dry-run command into planned changes
+     * @param {string} output Combined output of rclone command
+     * @returns {{copies: Array, deletes: Array, stats: Object}}
+     * @private
+     */
+    _parseDryRunOutput(output) {
+        const stats = this._parseStatsOutput(output);
+        const preview = {
+            copies: [],
+            deletes: [],
+            stats: {
+                transfers: stats.plannedTransfers,
+                deletes: stats.deletes,
+                bytes: stats.bytesText
+            }
+        };
+
+        (output || '').split(/\r?\n/).forEach(line => {
+            const skipped = line.match(/(?:NOTICE|INFO)\s*:\s*(.+?):\s*Skipped ([a-z -]+?) as --dry-run is set/i);
+            if (skipped) {
+                const [, file, action] = skipped;
+                if (/^(copy|move|server.side copy|server.side move)/i.test(action)) {
+                    preview.copies.push(file);
+                } else if (/^(delete|remove directory)/i.test(action)) {
+                    preview.deletes.push(file);
+                }
+            }
+        });
+
+        // Bisync lists every planned action once per path, keep it readable
+        preview.copies = [...new Set(preview.copies)];
+        preview.deletes = [...new Set(preview.deletes)];
+        preview.stats.transfers = Math.max(preview.stats.transfers, preview.copies.length);
+        preview.stats.deletes = Math.max(preview.stats.deletes, preview.deletes.length);
+
+        return preview;
+    }
+
+    /**
+     * Run the configured operation with --dry-run and collect what it would do
+     * @param {Object} bookmark
+     * @param {Object} config Sync point config
+     * @returns {Promise<{copies: Array, deletes: Array, stats: Object, firstRun: boolean}>}
+     */
+    async previewSync(bookmark, config) {
+        if (!config || !config.localPath || !config.remotePath) {
+            throw new Error('Invalid sync configuration');
+        }
+
+        const requestId = Math.random().toString(36).substring(7);
+        const mode = config.mode || 'bisync';
+        const localPath = config.localPath;
+        const remotePath = this._formatRemotePath(bookmark, config.remotePath);
+        const syncConfig = this.getSyncConfig(bookmark, config.name);
+        const firstRun = mode === 'bisync' &&
+            !(syncConfig && syncConfig._rclonetray_sync_initialized === 'true');
+
+        // Same commands and arguments as the real run, the first bisync run copies first
+        const commands = [];
+        if (mode === 'bisync') {
+            if (firstRun) {
+                commands.push(['copy', this._getInitialSyncArgs(remotePath, localPath, config.filters)]);
+            }
+            commands.push(['bisync', this._getBisyncArgs(remotePath, localPath, firstRun, config)]);
+        } else if (mode in OneWaySyncModes) {
+            const args = config.direction === 'download' ? [remotePath, localPath] : [localPath, remotePath];
+            args.push('--create-empty-src-dirs');
+            if (mode === 'sync' && parseInt(config['max-delete'], 10) > 0) {
+                args.push('--max-delete', config['max-delete']);
+            }
+            if (mode === 'move') {
+                args.push('--delete-empty-src-dirs');
+            }
+            args.push(...RcloneFilters.toArgs(config.filters));
+            commands.push([mode, args]);
+        } else {
+            throw new Error(`Unsupported sync mode ${mode}`);
+        }
+
+        const preview = { copies: [], deletes: [], stats: { transfers: 0, deletes: 0, bytes: '' } };
+        for (const [command, commandArgs] of commands) {
+            const args = [...commandArgs, '--dry-run', '-v'];
+            console.log(`[${requestId}] Starting preview:`, { command, args });
+
+            const jobId = await this._makeJobRequest('core/command', {
+                command,
+                arg: args,
+                returnType: 'COMBINED_OUTPUT'
+            });
+
+            const status = await this._waitForJob(jobId);
+            const output = status && status.output ? status.output.result : '';
+            const planned = this._parseDryRunOutput(output);
+            preview.copies = [...new Set(preview.copies.concat(planned.copies))];
+            preview.deletes = [...new Set(preview.deletes.concat(planned.deletes))];
+            preview.stats.transfers += planned.stats.transfers;
+            preview.stats.deletes += planned.stats.deletes;
+            preview.stats.bytes = [preview.stats.bytes, planned.stats.bytes].filter(Boolean).join(' + ');
+        }
+        preview.firstRun = firstRun;
+        preview.mode = mode;
+
+        console.log(`[${requestId}] Preview finished:`, preview.stats);
+        return preview;
+    }
+
     _formatRemotePath(bookmark, path) {
         return `${bookmark.$name}:${path}`;
     }
@@ -211,34 +540,232 @@ class RcloneSyncService {
             });
 
             if (status.finished) {
-                console.log(`[${checkId}] Bisync finished for ${syncKey}:`, status);
+                console.log(`[${checkId}] Sync job finished for ${syncKey}:`, status);
 
                 if (status.error) {
-                    console.error(`[${checkId}] Bisync error:`, status.error);
-                    this.activeSyncs.delete(syncKey);
-                    return;
+                    console.error(`[${checkId}] Sync job error:`, status.error);
                 }
 
-                const now = Date.now();
-                if (now - syncInfo.lastRunTime >= this.healthCheckInterval) {
-                    const [bookmarkName, configName] = syncKey.split('_');
-                    const bookmark = { $name: bookmarkName };
-
-                    this.activeSyncs.delete(syncKey);
-                    await this.startSync(bookmark, syncInfo.config);
-                }
+                // Next run is up to the scheduler
+                await this._finishSync(syncKey, syncInfo, status);
             }
         } catch (error) {
             if (error.message && error.message.includes('job not found')) {
                 console.log(`[${checkId}] Job not found, removing from active syncs:`, syncKey);
-                this.activeSyncs.delete(syncKey);
+                await this._finishSync(syncKey, syncInfo, { finished: true, error: 'Job lost' });
             } else {
                 console.error(`[${checkId}] Health check error:`, error);
             }
         }
     }
 
-    async startSync(bookmark, config) {
+    /**
+     * Collect results of finished run, from the job stats group or the command output
+     * @param {Object} syncInfo
+     * @param {Object|null} status Final job/status, fetched when missing
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _collectRunStats(syncInfo, status) {
+        const run = {
+            startTime: syncInfo.startTime,
+            endTime: Date.now(),
+            mode: syncInfo.config.mode || 'bisync',
+            error: status && status.error ? status.error.toString() : ''
+        };
+
+        try {
+            if (!status || !status.finished) {
+                status = await this.apiService.makeRequest('job/status', 'POST', { jobid: syncInfo.jobId });
+                run.error = run.error || (status.error ? status.error.toString() : '');
+            }
+
+            if (status.endTime) {
+                run.endTime = new Date(status.endTime).getTime() || run.endTime;
+            }
+
+            if (status.output && typeof status.output.result === 'string') {
+                // core/command runs rclone as a subprocess, the stats are only in its output
+                Object.assign(run, this._parseStatsOutput(status.output.result));
+            } else {
+                const statsGroup = syncInfo.statsGroup || `job/${syncInfo.jobId}`;
+                const stats = await this.apiService.makeRequest('core/stats', 'POST', { group: statsGroup });
+                if (this.stats && syncInfo.statsGroup) {
+                    await this.stats.deleteGroup(syncInfo.statsGroup);
+                }
+                run.bytes = stats.bytes || 0;
+                run.transfers = stats.transfers || 0;
+                run.deletes = stats.deletes || 0;
+                run.errors = stats.errors || 0;
+                if (!run.error && stats.lastError) {
+                    run.error = stats.lastError;
+                }
+            }
+
+            // sync/bisync returns its log as output, core/command as result
+            const output = status.output && (status.output.output || status.output.result);
+            if (run.mode === 'bisync' && typeof output === 'string') {
+                run.conflicts = RcloneSyncConflicts.parseBisyncOutput(output).length;
+            }
+        } catch (error) {
+            console.error('Failed to collect sync run stats:', error);
+        }
+
+        return run;
+    }
+
+    /**
+     * Forget finished sync job and record it in the history
+     * @param {string} syncKey
+     * @param {Object} syncInfo
+     * @param {Object|null} status
+     * @param {string|null} result Force result, e.g. 'stopped'
+     * @private
+     */
+    async _finishSync(syncKey, syncInfo, status = null, result = null) {
+        if (this.activeSyncs.get(syncKey) !== syncInfo) {
+            return;
+        }
+        this.activeSyncs.delete(syncKey);
+
+        const run = await this._collectRunStats(syncInfo, status);
+        if (result) {
+            run.result = result;
+        }
+        if (this.history) {
+            this.history.add(syncKey, run);
+        }
+
+        if (run.mode === 'bisync') {
+            const known = this.conflicts.has(syncKey) ? this.conflicts.get(syncKey).list.length : 0;
+            const conflicts = await this._scanConflicts(syncKey, syncInfo.config);
+            if (conflicts.length > known || run.conflicts) {
+                dialogs.notification(`${syncInfo.config.name}: ${conflicts.length || run.conflicts} conflict(s) to review`);
+            }
+        }
+
+        this.onUpdate();
+    }
+
+    /**
+     * Look for conflict copies in the local folder
+     * @param {string} syncKey
+     * @param {Object} config
+     * @returns {Promise<Array>}
+     * @private
+     */
+    async _scanConflicts(syncKey, config) {
+        const entry = { scanning: true, list: this.conflicts.has(syncKey) ? this.conflicts.get(syncKey).list : [] };
+        this.conflicts.set(syncKey, entry);
+        try {
+            entry.list = await RcloneSyncConflicts.scan(config.localPath);
+        } catch (error) {
+            console.error(`Failed to scan ${config.localPath} for conflicts:`, error);
+        }
+        entry.scanning = false;
+        return entry.list;
+    }
+
+    /**
+     * Get unresolved conflicts of a bisync point. The first call starts a scan in background.
+     * @param {Object} bookmark
+     * @param {Object} config
+     * @returns {Array}
+     */
+    getConflicts(bookmark, config) {
+        if ((config.mode || 'bisync') !== 'bisync' || !config.localPath) {
+            return [];
+        }
+        const syncKey = this._getSyncKey(bookmark, config.name);
+        if (!this.conflicts.has(syncKey)) {
+            this._scanConflicts(syncKey, config).then(list => {
+                if (list.length) {
+                    this.onUpdate();
+                }
+            });
+            return [];
+        }
+        return this.conflicts.get(syncKey).list;
+    }
+
+    /**
+     * Resolve one conflict of a sync point
+     * @param {Object} bookmark
+     * @param {Object} config
+     * @param {string} conflictPath Original path, relative to the local folder
+     * @param {string} action keepLocal, keepRemote or keepBoth
+     */
+    resolveConflict(bookmark, config, conflictPath, action) {
+        const syncKey = this._getSyncKey(bookmark, config.name);
+        if (this.activeSyncs.has(syncKey)) {
+            throw new Error('Wait for the running sync to finish');
+        }
+
+        const entry = this.conflicts.get(syncKey);
+        const conflict = entry && entry.list.find(item => item.path === conflictPath);
+        if (!conflict) {
+            throw new Error(`Conflict ${conflictPath} not found`);
+        }
+
+        RcloneSyncConflicts.resolve(config.localPath, conflict, action);
+        entry.list = entry.list.filter(item => item !== conflict);
+        console.log(`Resolved conflict ${conflictPath} of ${syncKey}: ${action}`);
+        this.onUpdate();
+    }
+
+    /**
+     * The first bisync run and runs that would delete files need a confirmed preview,
+     * bisync included, it deletes on both sides. Unattended runs, by the scheduler or on
+     * startup, can't ask: they go ahead up to the deletes the sync point allows for them.
+     * @param {Object} bookmark
+     * @param {Object} config Sync point config
+     * @param {boolean} unattended
+     * @returns {Promise<boolean>} Can run
+     * @private
+     */
+    async _confirmRun(bookmark, config, unattended) {
+        const mode = config.mode || 'bisync';
+        const syncConfig = this.getSyncConfig(bookmark, config.name);
+        const firstRun = mode === 'bisync' &&
+            !(syncConfig && syncConfig._rclonetray_sync_initialized === 'true');
+        if (mode === 'copy') {
+            return true;
+        }
+
+        const label = `${bookmark.$name} (${config.name})`;
+        if (firstRun && unattended) {
+            console.log(`First sync of ${label} needs confirmation, not run unattended`);
+            dialogs.notification(`The first sync of ${label} needs your confirmation, start it from the tray menu`);
+            return false;
+        }
+
+        const preview = await this.previewSync(bookmark, config);
+        if (!firstRun && preview.deletes.length === 0) {
+            return true;
+        }
+        if (unattended) {
+            const allowed = parseInt(config.unattendedDeletes, 10) || 0;
+            if (preview.deletes.length <= allowed) {
+                console.log(`${mode} of ${label} deletes ${preview.deletes.length} file(s), ${allowed} allowed unattended`);
+                return true;
+            }
+            console.log(`${mode} of ${label} would delete ${preview.deletes.length} file(s), more than ${allowed} allowed unattended`);
+            dialogs.notification(`${mode} of ${label} would delete ${preview.deletes.length} file(s), more than the ${allowed} allowed ` +
+                'for scheduled runs. Start it from the tray menu to confirm.');
+            return false;
+        }
+        return await dialogs.syncPreview(bookmark, config, preview);
+    }
+
+    /**
+     * @param {Object} bookmark
+     * @param {Object} config Sync point config
+     * @param {Object} [options]
+     * @param {boolean} [options.confirmed] The user confirmed a preview of this run already
+     * @param {boolean} [options.unattended] Started by the scheduler or on startup, nobody to confirm
+     * @returns {Promise<boolean>} Started
+     */
+    async startSync(bookmark, config, options = {}) {
         if (!config || !config.localPath || !config.remotePath) {
             throw new Error('Invalid sync configuration');
         }
@@ -266,25 +793,54 @@ class RcloneSyncService {
             this.activeSyncs.delete(syncKey);
         }
 
+        const mode = config.mode || 'bisync';
+        if (mode !== 'bisync' && !(mode in OneWaySyncModes)) {
+            throw new Error(`Unsupported sync mode ${mode}`);
+        }
+
+        if (!options.confirmed && !await this._confirmRun(bookmark, config, !!options.unattended)) {
+            console.log(`[${requestId}] Sync not confirmed:`, syncKey);
+            return false;
+        }
+
+        const startTime = Date.now();
+
         try {
             const localPath = config.localPath;
             const remotePath = this._formatRemotePath(bookmark, config.remotePath);
+            const statsGroup = RcloneStatsService.getGroupName('sync', bookmark.$name, config.name);
             let jobId;
 
+            if (mode !== 'bisync') {
+                const direction = config.direction === 'download' ? 'download' : 'upload';
+                jobId = await this._runOneWay(mode, direction, remotePath, localPath, config, statsGroup);
+                dialogs.notification(`Started ${mode} (${direction}) for ${bookmark.$name}`);
+
+                this.activeSyncs.set(syncKey, {
+                    jobId,
+                    config,
+                    statsGroup,
+                    startTime,
+                    lastRunTime: Date.now()
+                });
+
+                return true;
+            }
+
             const syncConfig = this.getSyncConfig(bookmark, config.name);
             const isInitialized = syncConfig && syncConfig._rclonetray_sync_initialized === 'true';
 
             if (!isInitialized) {
                 console.log(`[${requestId}] First run, initializing`);
-                await this._initialSync(remotePath, localPath);
-                jobId = await this._runBisync(remotePath, localPath, true);
+                await this._initialSync(remotePath, localPath, config.filters);
+                jobId = await this._runBisync(remotePath, localPath, true, config, statsGroup);
                 await this._waitForJob(jobId);
                 await this._saveInitializationStatus(bookmark, config);
-                jobId = await this._runBisync(remotePath, localPath, false);
+                jobId = await this._runBisync(remotePath, localPath, false, config, statsGroup);
                 dialogs.notification(`Successfully initialized sync for ${bookmark.$name}`);
             } else {
                 console.log(`[${requestId}] Directory already initialized, starting bisync`);
-                jobId = await this._runBisync(remotePath, localPath, false);
+                jobId = await this._runBisync(remotePath, localPath, false, config, statsGroup);
                 dialogs.notification(`Started sync for ${bookmark.$name}`);
 
             }
@@ -292,18 +848,48 @@ class RcloneSyncService {
             this.activeSyncs.set(syncKey, {
                 jobId,
                 config,
-                startTime: Date.now(),
+                statsGroup,
+                startTime,
                 lastRunTime: Date.now()
             });
 
             return true;
         } catch (error) {
             console.error(`[${requestId}] Sync start failed:`, error);
+            if (this.history) {
+                this.history.add(syncKey, { startTime, mode, error: error.message });
+                this.onUpdate();
+            }
             dialogs.notification(`Failed to start sync for ${bookmark.$name}: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Wait until the running job of a sync point finishes
+     * @param {Object} bookmark
+     * @param {string} syncName
+     * @returns {Promise<Object|null>} Final job status
+     */
+    async waitForSync(bookmark, syncName) {
+        const syncKey = this._getSyncKey(bookmark, syncName);
+        const syncInfo = this.activeSyncs.get(syncKey);
+        if (!syncInfo) {
+            return null;
+        }
+
+        let status = null;
+        try {
+            status = await this._waitForJob(syncInfo.jobId);
+            return status;
+        } catch (error) {
+            status = { error: error.message };
+            throw error;
+        } finally {
+            await this._finishSync(syncKey, syncInfo, status);
+        }
+    }
+
     async stopSync(bookmark, syncName) {
         const requestId = Math.random().toString(36).substring(7);
         const syncKey = this._getSyncKey(bookmark, syncName);
@@ -321,12 +907,12 @@ class RcloneSyncService {
                 jobid: syncInfo.jobId
             });
 
-            this.activeSyncs.delete(syncKey);
+            await this._finishSync(syncKey, syncInfo, null, 'stopped');
             console.log(`[${requestId}] Sync stopped:`, syncKey);
             return true;
         } catch (error) {
             if (error.message && error.message.includes('job not found')) {
-                this.activeSyncs.delete(syncKey);
+                await this._finishSync(syncKey, syncInfo, null, 'stopped');
                 return true;
             }
             console.error(`[${requestId}] Stop sync failed:`, error);
@@ -334,6 +920,233 @@ class RcloneSyncService {
         }
     }
 
+    _getLocalPath(bookmark) {
+        const localPath = (bookmark._rclonetray_local_path_map || '').trim();
+        if (!localPath) {
+            throw new Error(`No local path mapping set for ${bookmark.$name}`);
+        }
+        return localPath;
+    }
+
+    /**
+     * Run one-shot copy job and keep it in the given transfer cache until finished
+     * @param {Object} bookmark
+     * @param {Object} registry this.downloads or this.uploads
+     * @param {string} operation 'download' or 'upload'
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _startTransfer(bookmark, registry, operation) {
+        const requestId = Math.random().toString(36).substring(7);
+
+        if (registry[bookmark.$name]) {
+            console.log(`[${requestId}] ${operation} already running for ${bookmark.$name}`);
+            return false;
+        }
+
+        const localPath = this._getLocalPath(bookmark);
+        const remotePath = this._formatRemotePath(bookmark, '');
+        const [srcFs, dstFs] = operation === 'download'
+            ? [remotePath, localPath]
+            : [localPath, remotePath];
+
+        console.log(`[${requestId}] Starting ${operation}:`, { srcFs, dstFs });
+
+        const statsGroup = RcloneStatsService.getGroupName(operation, bookmark.$name);
+        if (this.stats) {
+            await this.stats.resetGroup(statsGroup);
+        }
+
+        const jobId = await this._makeJobRequest('sync/copy', {
+            srcFs,
+            dstFs,
+            createEmptySrcDirs: true,
+            _group: statsGroup
+        });
+
+        const transfer = {
+            jobId,
+            statsGroup,
+            startTime: Date.now(),
+            stopped: false
+        };
+        registry[bookmark.$name] = transfer;
+        this.onUpdate();
+
+        this._waitForJob(jobId)
+            .then(() => {
+                console.log(`[${requestId}] ${operation} finished for ${bookmark.$name}`);
+                dialogs.notification(`${operation === 'download' ? 'Downloaded' : 'Uploaded'} ${bookmark.$name}`);
+            })
+            .catch(error => {
+                console.error(`[${requestId}] ${operation} failed for ${bookmark.$name}:`, error);
+                if (!transfer.stopped) {
+                    dialogs.notification(`Failed to ${operation} ${bookmark.$name}: ${error.message}`);
+                }
+            })
+            .then(() => {
+                if (this.stats) {
+                    this.stats.deleteGroup(statsGroup);
+                }
+                if (registry[bookmark.$name] === transfer) {
+                    delete registry[bookmark.$name];
+                }
+                this.onUpdate();
+                if (operation === 'upload') {
+                    this._runPendingAutoUpload(bookmark);
+                }
+            });
+
+        return true;
+    }
+
+    async _stopTransfer(bookmark, registry, operation) {
+        const transfer = registry[bookmark.$name];
+        if (!transfer) {
+            console.log(`No ${operation} running for ${bookmark.$name}`);
+            return false;
+        }
+
+        transfer.stopped = true;
+        try {
+            await this.apiService.makeRequest('job/stop', 'POST', {
+                jobid: transfer.jobId
+            });
+        } catch (error) {
+            if (!(error.message && error.message.includes('job not found'))) {
+                console.error(`Stop ${operation} failed for ${bookmark.$name}:`, error);
+                throw error;
+            }
+        }
+
+        delete registry[bookmark.$name];
+        this.onUpdate();
+        return true;
+    }
+
+    async startDownload(bookmark) {
+        return this._startTransfer(bookmark, this.downloads, 'download');
+    }
+
+    async stopDownload(bookmark) {
+        return this._stopTransfer(bookmark, this.downloads, 'download');
+    }
+
+    isDownloading(bookmark) {
+        return !!this.downloads[bookmark.$name];
+    }
+
+    async startUpload(bookmark) {
+        return this._startTransfer(bookmark, this.uploads, 'upload');
+    }
+
+    async stopUpload(bookmark) {
+        return this._stopTransfer(bookmark, this.uploads, 'upload');
+    }
+
+    isUploading(bookmark) {
+        return !!this.uploads[bookmark.$name];
+    }
+
+    isAutoUploadEnabled(bookmark) {
+        return !!this.automaticUploads[bookmark.$name];
+    }
+
+    /**
+     * Upload the local folder after it stays quiet for rclone_sync_autoupload_delay seconds
+     * @param {Object} bookmark
+     * @private
+     */
+    _scheduleAutoUpload(bookmark) {
+        const watch = this.automaticUploads[bookmark.$name];
+        if (!watch) {
+            return;
+        }
+
+        if (watch.timer) {
+            clearTimeout(watch.timer);
+        }
+
+        const delay = (parseInt(settings.get('rclone_sync_autoupload_delay'), 10) || 5) * 1000;
+        watch.timer = setTimeout(() => {
+            watch.timer = null;
+            if (this.isUploading(bookmark)) {
+                // Upload again once the running one finishes, it may have missed the latest changes
+                watch.pending = true;
+                return;
+            }
+            this.startUpload(bookmark).catch(error => {
+                console.error(`Automatic upload failed for ${bookmark.$name}:`, error);
+                dialogs.notification(`Automatic upload failed for ${bookmark.$name}: ${error.message}`);
+            });
+        }, delay);
+    }
+
+    _runPendingAutoUpload(bookmark) {
+        const watch = this.automaticUploads[bookmark.$name];
+        if (watch && watch.pending) {
+            watch.pending = false;
+            this._scheduleAutoUpload(bookmark);
+        }
+    }
+
+    async enableAutoUpload(bookmark) {
+        if (this.isAutoUploadEnabled(bookmark)) {
+            return true;
+        }
+
+        const localPath = this._getLocalPath(bookmark);
+        if (!fs.existsSync(localPath)) {
+            throw new Error(`Local path ${localPath} does not exist`);
+        }
+
+        const watcher = chokidar.watch(localPath, {
+            ignoreInitial: true,
+            persistent: true
+        });
+
+        this.automaticUploads[bookmark.$name] = {
+            watcher,
+            timer: null,
+            pending: false
+        };
+
+        watcher.on('all', () => this._scheduleAutoUpload(bookmark));
+        watcher.on('error', error => {
+            console.error(`Watcher error for ${bookmark.$name}:`, error);
+        });
+
+        console.log(`Automatic upload enabled for ${bookmark.$name}, watching ${localPath}`);
+
+        // Bring the remote up to date with what changed while nobody was watching
+        this._scheduleAutoUpload(bookmark);
+        this.onUpdate();
+        return true;
+    }
+
+    async disableAutoUpload(bookmark) {
+        const watch = this.automaticUploads[bookmark.$name];
+        if (!watch) {
+            return false;
+        }
+
+        if (watch.timer) {
+            clearTimeout(watch.timer);
+        }
+        watch.watcher.close();
+        delete this.automaticUploads[bookmark.$name];
+
+        console.log(`Automatic upload disabled for ${bookmark.$name}`);
+        this.onUpdate();
+        return true;
+    }
+
+    async toggleAutoUpload(bookmark) {
+        return this.isAutoUploadEnabled(bookmark)
+            ? this.disableAutoUpload(bookmark)
+            : this.enableAutoUpload(bookmark);
+    }
+
     async _saveInitializationStatus(bookmark, config) {
         try {
             const existingConfig = this.getSyncConfig(bookmark, config.name);
@@ -343,7 +1156,7 @@ class RcloneSyncService {
                 enabled: existingConfig ? existingConfig.enabled : false,
                 localPath: config.localPath,
                 remotePath: config.remotePath,
-                mode: 'bisync',
+                mode: config.mode || 'bisync',
                 _rclonetray_sync_initialized: 'true',
                 name: config.name
             };
@@ -376,6 +1189,18 @@ class RcloneSyncService {
             }
         }
 
+        Object.keys(this.automaticUploads).forEach(bookmarkName => {
+            cleanupPromises.push(this.disableAutoUpload({ $name: bookmarkName }));
+        });
+
+        Object.keys(this.downloads).forEach(bookmarkName => {
+            cleanupPromises.push(this.stopDownload({ $name: bookmarkName }));
+        });
+
+        Object.keys(this.uploads).forEach(bookmarkName => {
+            cleanupPromises.push(this.stopUpload({ $name: bookmarkName }));
+        });
+
         try {
             await Promise.allSettled(cleanupPromises);
             this.activeSyncs.clear();
@@ -386,6 +1211,20 @@ class RcloneSyncService {
         }
     }
 
+    /**
+     * Get recorded runs of sync point, newest first
+     * @param {Object} bookmark
+     * @param {string} syncName
+     * @returns {Array}
+     */
+    getSyncHistory(bookmark, syncName) {
+        return this.history ? this.history.get(this._getSyncKey(bookmark, syncName)) : [];
+    }
+
+    getLastSyncRun(bookmark, syncName) {
+        return this.history ? this.history.getLast(this._getSyncKey(bookmark, syncName)) : null;
+    }
+
     getSyncStatus(bookmark, syncName) {
         const syncKey = this._getSyncKey(bookmark, syncName);
         const syncInfo = this.activeSyncs.get(syncKey);
@@ -404,4 +1243,6 @@ class RcloneSyncService {
     }
 }
 
+RcloneSyncService.OneWaySyncModes = OneWaySyncModes;
+
 module.exports = RcloneSyncService;
\ No newline at end of file
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const ini = require('ini');
+
+/**
+ * Keys RcloneTray used to keep in rclone.conf
+ * @private
+ */
+const KEY_PREFIX = '_rclonetray_';
+
+/**
+ * Sections RcloneTray used to create in rclone.conf for extra mount and sync points,
+ * e.g. [gdrive.mount_photos] or [gdrive\.sync_docs]
+ * @private
+ */
+const POINT_SECTION = /^(.+)\.(mount|sync)_(.+)$/;
+
+/**
+ * Keys of a remote section that belong to its default mount point
+ * @private
+ */
+const isMountKey = function (key) {
+    return key === '_rclonetray_remote_path' || key.startsWith('_rclonetray_mount_');
+};
+
+/**
+ * ini converts true and false to booleans, the store keeps strings like rclone.conf did
+ * @private
+ */
+const toStrings = function (section) {
+    const values = {};
+    Object.keys(section).forEach(key => {
+        if (section[key] !== null && typeof section[key] !== 'object') {
+            values[key] = String(section[key]);
+        }
+    });
+    return values;
+};
+
+/**
+ * RcloneTray data of remotes: mount points, sync points and tray state, such as the
+ * local path mapping. Kept as JSON in userData, so rclone.conf has only rclone settings.
+ */
+class RcloneTrayStore {
+    /**
+     * @param {string} storeFile JSON file to keep the data in
+     */
+    constructor(storeFile) {
+        if (!storeFile) throw new Error('storeFile is required for RcloneTrayStore');
+
+        this.storeFile = storeFile;
+        this.data = { version: 1, migrated: [], remotes: {} };
+        this._load();
+    }
+
+    _load() {
+        try {
+            if (fs.existsSync(this.storeFile)) {
+                const data = JSON.parse(fs.readFileSync(this.storeFile, 'utf-8')) || {};
+                this.data.migrated = data.migrated || [];
+                this.data.remotes = data.remotes || {};
+            }
+        } catch (error) {
+            // Don't start over, saving would drop all mount and sync points
+            throw new Error(`Failed to read ${this.storeFile}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        // Write a temp file and rename it, a crash must not leave half a file
+        const tempFile = `${this.storeFile}.tmp`;
+        fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempFile, this.storeFile);
+    }
+
+    _getRemote(remoteName, create = false) {
+        if (!this.data.remotes[remoteName] && create) {
+            this.data.remotes[remoteName] = { tray: {}, mounts: {}, syncs: {} };
+        }
+        return this.data.remotes[remoteName] || null;
+    }
+
+    /**
+     * Tray state of a remote, e.g. _rclonetray_local_path_map
+     * @param {string} remoteName
+     * @returns {Object}
+     */
+    getTray(remoteName) {
+        const remote = this._getRemote(remoteName);
+        return remote ? { ...remote.tray } : {};
+    }
+
+    /**
+     * @param {string} remoteName
+     * @param {Object} values Replace the whole tray state
+     */
+    setTray(remoteName, values) {
+        this._getRemote(remoteName, true).tray = toStrings(values);
+        this._save();
+    }
+
+    /**
+     * @param {string} remoteName
+     * @param {string} mountName
+     * @returns {Object|null} Keys of the mount point, null when there is no such mount point
+     */
+    getMount(remoteName, mountName) {
+        const remote = this._getRemote(remoteName);
+        return remote && remote.mounts[mountName] ? { ...remote.mounts[mountName] } : null;
+    }
+
+    setMount(remoteName, mountName, values) {
+        this._getRemote(remoteName, true).mounts[mountName] = toStrings(values);
+        this._save();
+    }
+
+    deleteMount(remoteName, mountName) {
+        const remote = this._getRemote(remoteName);
+        if (remote && remote.mounts[mountName]) {
+            delete remote.mounts[mountName];
+            this._save();
+        }
+    }
+
+    /**
+     * @param {string} remoteName
+     * @returns {Array<string>} Names of the mount points
+     */
+    listMounts(remoteName) {
+        const remote = this._getRemote(remoteName);
+        return remote ? Object.keys(remote.mounts) : [];
+    }
+
+    /**
+     * @param {string} remoteName
+     * @param {string} syncName
+     * @returns {Object|null} Keys of the sync point, null when there is no such sync point
+     */
+    getSync(remoteName, syncName) {
+        const remote = this._getRemote(remoteName);
+        return remote && remote.syncs[syncName] ? { ...remote.syncs[syncName] } : null;
+    }
+
+    setSync(remoteName, syncName, values) {
+        this._getRemote(remoteName, true).syncs[syncName] = toStrings(values);
+        this._save();
+    }
+
+    deleteSync(remoteName, syncName) {
+        const remote = this._getRemote(remoteName);
+        if (remote && remote.syncs[syncName]) {
+            delete remote.syncs[syncName];
+            this._save();
+        }
+    }
+
+    /**
+     * @param {string} remoteName
+     * @returns {Array<string>} Names of the sync points
+     */
+    listSyncs(remoteName) {
+        const remote = this._getRemote(remoteName);
+        return remote ? Object.keys(remote.syncs) : [];
+    }
+
+    /**
+     * Forget everything of a deleted remote
+     * @param {string} remoteName
+     */
+    deleteRemote(remoteName) {
+        if (this.data.remotes[remoteName]) {
+            delete this.data.remotes[remoteName];
+            this._save();
+        }
+    }
+
+    /**
+     * Move _rclonetray_* keys and mount/sync point sections of older versions out of
+     * rclone.conf, once per config file. Other lines of the file, comments included, stay as they are.
+     * @param {RcloneConfigWriter} configWriter
+     * @returns {Promise<number>} Moved keys
+     */
+    async migrateConfig(configWriter) {
+        const resolved = path.resolve(configWriter.getConfigFile());
+        if (this.data.migrated.indexOf(resolved) > -1 || !fs.existsSync(resolved)) {
+            return 0;
+        }
+
+        const document = configWriter.read();
+        if (/^\s*RCLONE_ENCRYPT_V0:/m.test(document.toString())) {
+            // Nothing readable until the config is decrypted
+            return 0;
+        }
+
+        let moved = 0;
+        const take = (remoteName, kind, name, values) => {
+            const keys = Object.keys(values).filter(key => key.startsWith(KEY_PREFIX));
+            if (!keys.length) {
+                return;
+            }
+            const remote = this._getRemote(remoteName, true);
+            const target = kind === 'tray' ? remote.tray : (remote[kind][name] = remote[kind][name] || {});
+            keys.forEach(key => {
+                // Values were written by ini, which quotes some of them
+                target[key] = String(ini.unsafe(values[key]));
+            });
+            moved += keys.length;
+        };
+
+        const pointSections = [];
+        document.names().forEach(sectionName => {
+            const values = document.get(sectionName);
+            const point = sectionName.replace(/\\\./g, '.').match(POINT_SECTION);
+            if (point && !values.type) {
+                take(point[1], `${point[2]}s`, point[3], values);
+                pointSections.push(sectionName);
+                return;
+            }
+
+            const mountKeys = {};
+            const trayKeys = {};
+            Object.keys(values).forEach(key => {
+                if (isMountKey(key)) {
+                    mountKeys[key] = values[key];
+                } else {
+                    trayKeys[key] = values[key];
+                }
+            });
+            take(sectionName, 'mounts', 'default', mountKeys);
+            take(sectionName, 'tray', null, trayKeys);
+        });
+
+        if (moved) {
+            // Store first, a failed config write then only leaves keys to be ignored
+            this._save();
+            await configWriter.update(config => {
+                pointSections.forEach(sectionName => config.remove(sectionName));
+                config.names().forEach(sectionName => {
+                    config.removeKeys(sectionName, key => key.startsWith(KEY_PREFIX));
+                });
+            });
+        }
+
+        this.data.migrated.push(resolved);
+        this._save();
+        return moved;
+    }
+}
+
+module.exports = RcloneTrayStore;
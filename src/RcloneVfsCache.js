@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const dialogs = require('./dialogs')
+const RcloneStatsService = require('./RcloneStatsService');
+
+/**
+ * Name of the VFS rclone created for a mounted remote. Mounts with their own
+ * config or filters get a suffix like "MyDrive{AbCdE}:path".
+ * @param {Array<string>} vfses Response of vfs/list
+ * @param {string} remote Remote path the mount was created with
+ * @returns {string|null}
+ */
+const findVfs = function (vfses, remote) {
+    const normalize = name => name.replace(/\{[^}]*\}(?=:)/, '').replace(/\/+$/, '');
+    return (vfses || []).find(name => name === remote) ||
+        (vfses || []).find(name => normalize(name) === normalize(remote)) ||
+        null;
+};
+
+/**
+ * Short status text like "Cache 1.2 GB, uploading 2, queued 3"
+ * @param {Object} status
+ * @returns {string}
+ */
+const formatStatus = function (status) {
+    if (!status.diskCache) {
+        return `Cache off, ${status.files} cached listing entries`;
+    }
+    const parts = [`Cache ${RcloneStatsService.formatBytes(status.bytesUsed)}`];
+    if (status.uploadsInProgress) {
+        parts.push(`uploading ${status.uploadsInProgress}`);
+    }
+    if (status.uploadsQueued) {
+        parts.push(`queued ${status.uploadsQueued}`);
+    }
+    if (status.erroredFiles) {
+        parts.push(`${status.erroredFiles} failed`);
+    }
+    let text = parts.join(', ');
+    if (status.lowSpace) {
+        text += status.freeBytes !== null
+            ? ` — disk low, ${RcloneStatsService.formatBytes(status.freeBytes)} free`
+            : ' — out of disk space';
+    }
+    return text;
+};
+
+class RcloneVfsCache {
+    /**
+     * @param {RcloneApiService} apiService
+     * @param {Object} options
+     * @param {Function} options.getMountPoints Returns the mount cache, keyed by mount cache key
+     * @param {Function} [options.onUpdate] Called when the shown status changes
+     * @param {number} [options.interval] Polling interval in ms
+     * @param {number} [options.lowSpaceBytes] Warn when the cache disk has less free space
+     */
+    constructor(apiService, options) {
+        if (!apiService) throw new Error('apiService is required for RcloneVfsCache');
+        if (!options || !options.getMountPoints) throw new Error('getMountPoints is required for RcloneVfsCache');
+
+        this.apiService = apiService;
+        this.getMountPoints = options.getMountPoints;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.interval = options.interval || 15000;
+        this.lowSpaceBytes = options.lowSpaceBytes || 1024 * 1024 * 1024;
+        this.status = new Map(); // cacheKey => status
+        this.lowSpace = new Set(); // cacheKeys already warned about
+        this.timer = null;
+        this.polling = false;
+        this.signature = '';
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this._poll(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.status.clear();
+    }
+
+    /**
+     * @param {string} remote Remote path of the mount
+     * @returns {Promise<string>} VFS name to pass as fs
+     * @throws {Error} When rclone has no VFS for it
+     */
+    async resolveVfs(remote) {
+        const response = await this.apiService.makeRequest('vfs/list', 'POST');
+        const vfs = findVfs(response.vfses, remote);
+        if (!vfs) {
+            throw new Error(`No VFS found for ${remote}`);
+        }
+        return vfs;
+    }
+
+    /**
+     * Free space on the disk of a path, null where df is not available
+     * @param {string} dir
+     * @returns {Promise<number|null>} Bytes
+     * @private
+     */
+    _getFreeSpace(dir) {
+        if (process.platform === 'win32') {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => {
+            execFile('df', ['-Pk', dir], { timeout: 5000 }, (error, stdout) => {
+                const line = !error && stdout.trim().split('\n')[1];
+                const available = line ? parseInt(line.trim().split(/\s+/)[3], 10) : NaN;
+                resolve(isNaN(available) ? null : available * 1024);
+            });
+        });
+    }
+
+    /**
+     * Get cache status of a mounted remote
+     * @param {string} remote Remote path of the mount
+     * @returns {Promise<Object>}
+     */
+    async getStatus(remote) {
+        const vfs = await this.resolveVfs(remote);
+        const stats = await this.apiService.makeRequest('vfs/stats', 'POST', { fs: vfs });
+        const metadata = stats.metadataCache || {};
+        const status = {
+            vfs,
+            cacheMode: stats.opt ? stats.opt.CacheMode : null,
+            files: (metadata.files || 0) + (metadata.dirs || 0),
+            diskCache: !!stats.diskCache
+        };
+
+        if (stats.diskCache) {
+            Object.assign(status, {
+                path: stats.diskCache.path,
+                metaPath: stats.diskCache.pathMeta,
+                bytesUsed: stats.diskCache.bytesUsed || 0,
+                cachedFiles: stats.diskCache.files || 0,
+                uploadsInProgress: stats.diskCache.uploadsInProgress || 0,
+                uploadsQueued: stats.diskCache.uploadsQueued || 0,
+                erroredFiles: stats.diskCache.erroredFiles || 0,
+                outOfSpace: !!stats.diskCache.outOfSpace,
+                freeBytes: await this._getFreeSpace(stats.diskCache.path)
+            });
+            status.lowSpace = status.outOfSpace ||
+                (status.freeBytes !== null && status.freeBytes < this.lowSpaceBytes);
+        }
+
+        return status;
+    }
+
+    async _poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            const mountPoints = this.getMountPoints();
+            const current = new Map();
+
+            for (const cacheKey of Object.keys(mountPoints)) {
+                try {
+                    const status = await this.getStatus(mountPoints[cacheKey].remote);
+                    current.set(cacheKey, status);
+                    this._checkSpace(cacheKey, mountPoints[cacheKey], status);
+                } catch (error) {
+                    // Mount is gone or being remounted, the watchdog takes care of it
+                    console.error(`Failed to get VFS stats of ${cacheKey}:`, error.message);
+                }
+            }
+
+            this.status = current;
+            [...this.lowSpace].filter(cacheKey => !current.has(cacheKey)).forEach(cacheKey => this.lowSpace.delete(cacheKey));
+
+            const signature = [...current.keys()].map(cacheKey => `${cacheKey}:${formatStatus(current.get(cacheKey))}`).join('|');
+            if (signature !== this.signature) {
+                this.signature = signature;
+                this.onUpdate();
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Warn once per mount when its cache disk runs low
+     * @private
+     */
+    _checkSpace(cacheKey, mount, status) {
+        if (!status.lowSpace) {
+            this.lowSpace.delete(cacheKey);
+            return;
+        }
+        if (this.lowSpace.has(cacheKey)) {
+            return;
+        }
+        this.lowSpace.add(cacheKey);
+        const free = status.freeBytes !== null ? `${RcloneStatsService.formatBytes(status.freeBytes)} free` : 'out of space';
+        console.log(`VFS cache disk of ${cacheKey} is low: ${free}`);
+        dialogs.notification(`Cache disk of ${mount.path} is running low (${free}). ` +
+            'Lower the cache size limit or clear the cache.');
+    }
+
+    /**
+     * Last polled status of a mount
+     * @param {string} cacheKey
+     * @returns {Object|null}
+     */
+    getCachedStatus(cacheKey) {
+        return this.status.get(cacheKey) || null;
+    }
+
+    async _waitForJob(jobid) {
+        for (;;) {
+            const status = await this.apiService.makeRequest('job/status', 'POST', { jobid });
+            if (status.finished) {
+                if (status.error) {
+                    throw new Error(status.error);
+                }
+                return status.output;
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    /**
+     * Re-read directory listings from the remote, can take long on big remotes
+     * @param {string} remote Remote path of the mount
+     */
+    async refresh(remote) {
+        const vfs = await this.resolveVfs(remote);
+        const { jobid } = await this.apiService.makeRequest('vfs/refresh', 'POST', {
+            fs: vfs,
+            recursive: true,
+            _async: true
+        });
+        return await this._waitForJob(jobid);
+    }
+
+    /**
+     * Drop cached directory listings, they are read again on next access
+     * @param {string} remote Remote path of the mount
+     * @returns {Promise<Array<string>>} Forgotten entries
+     */
+    async forget(remote) {
+        const vfs = await this.resolveVfs(remote);
+        const response = await this.apiService.makeRequest('vfs/forget', 'POST', { fs: vfs });
+        return response.forgotten || [];
+    }
+
+    /**
+     * Delete cache directories of an unmounted VFS
+     * @param {Array<string>} dirs
+     */
+    async removeCacheDirs(dirs) {
+        const remove = async dir => {
+            let entries = [];
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return;
+                }
+                throw error;
+            }
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await remove(entryPath);
+                } else {
+                    await fs.promises.unlink(entryPath);
+                }
+            }
+            await fs.promises.rmdir(dir);
+        };
+
+        for (const dir of dirs.filter(dir => dir)) {
+            await remove(dir);
+        }
+    }
+}
+
+RcloneVfsCache.findVfs = findVfs;
+RcloneVfsCache.formatStatus = formatStatus;
+
+module.exports = RcloneVfsCache;
@@ -11,7 +11,7 @@ window.$main = {
     version: remote.app.getVersion()
   },
   refreshTray: remote.require('./tray').refresh,
-  rclone: remote.require('./services/rclone/rclone'),
+  rclone: remote.require('./rclone'),
   settings: remote.require('./settings')
 }
 
@@ -131,6 +131,21 @@ window.selectDirectory = function (defaultDirectory, callback) {
   }, callback)
 }
 
+/**
+ * Remote folder selector dialog
+ * @param {Object} bookmark
+ * @param {string} defaultPath
+ * @param {callback} callback Called with the picked path, not called when cancelled
+ */
+window.selectRemoteDirectory = function (bookmark, defaultPath, callback) {
+  remote.require('./dialogs').selectRemoteDirectory(bookmark, defaultPath)
+    .then(function (selected) {
+      if (selected !== null) {
+        callback(selected)
+      }
+    })
+}
+
 /**
  * File selector dialog
  * @param {string} defaultFile
@@ -158,6 +158,19 @@ const preferences = function () {
   })
 }
 
+/**
+ * Show FUSE and mount directory checks
+ */
+const diagnostics = function () {
+  createNewDialog('Diagnostics', {
+    $singleId: 1,
+    width: 600,
+    height: 400,
+    title: 'Diagnostics',
+    minimizable: false
+  })
+}
+
 /**
  * Show new Bookmark dialog
  */
@@ -221,6 +234,90 @@ const addMountPoint = function(bookmark, suggestedName) {
 };
 
 
+/**
+ * Show mount settings of a mount point
+ * @param {Object} bookmark
+ * @param {string} mountName
+ */
+const mountSettings = function (bookmark, mountName) {
+  createNewDialog('MountSettings', {
+    $singleId: `mount_settings_${bookmark.$name}_${mountName}`,
+    width: 600,
+    height: 480,
+    title: `Mount Settings of ${bookmark.$name}${mountName !== 'default' ? ` (${mountName})` : ''}`,
+    minimizable: false
+  }, {
+    bookmark: bookmark,
+    mountName: mountName
+  })
+}
+
+/**
+ * Pick a folder on the remote of a bookmark
+ * @param {Object} bookmark
+ * @param {string} currentPath Folder to preselect
+ * @returns {Promise<string|null>} Picked folder, null when cancelled
+ */
+const selectRemoteDirectory = function (bookmark, currentPath) {
+  return new Promise((resolve) => {
+    let selected = null
+    const dialog = createNewDialog('RemoteFolderPicker', {
+      $singleId: `remote_folder_${bookmark.$name}`,
+      width: 480,
+      height: 420,
+      resizable: true,
+      title: `Select Folder on ${bookmark.$name}`,
+      minimizable: false
+    }, {
+      bookmark: bookmark,
+      currentPath: currentPath || '',
+      select: function (dirPath) {
+        selected = dirPath
+      }
+    })
+
+    dialog.on('closed', () => {
+      resolve(selected)
+    })
+  })
+}
+
+/**
+ * Ask for the password of an encrypted rclone config, or for a new one
+ * @param {Object} options
+ * @param {string} options.mode unlock or new
+ * @param {string} options.configFile
+ * @param {boolean} options.canRemember Offer to remember it in the system keyring
+ * @param {boolean} [options.remember] Remember is checked
+ * @param {string} [options.error] Why it is asked again
+ * @returns {Promise<{password: string, remember: boolean}|null>} null when cancelled
+ */
+const configPassword = function (options) {
+  return new Promise((resolve) => {
+    let result = null
+    const dialog = createNewDialog('ConfigPassword', {
+      $singleId: 1,
+      width: 480,
+      height: 220,
+      title: options.mode === 'new' ? 'Set Config Password' : 'Unlock Rclone Config',
+      minimizable: false
+    }, {
+      mode: options.mode,
+      configFile: options.configFile,
+      canRemember: options.canRemember,
+      remember: options.remember,
+      error: options.error || '',
+      submit: function (answer) {
+        result = answer
+      }
+    })
+
+    dialog.on('closed', () => {
+      resolve(result)
+    })
+  })
+}
+
 /**
  * Multi Instance error
  */
@@ -259,19 +356,101 @@ const uncaughtException = function (detail) {
 
 /**
  * Show confirm exit dialog.
- * @returns {boolean}
+ * @param {string} detail Pending work that would be lost
+ * @returns {string} wait, force or cancel
  */
-const confirmExit = function () {
+const confirmExit = function (detail) {
   let choice = dialog.showMessageBox(null, {
     type: 'warning',
-    buttons: ['Yes', 'No'],
+    buttons: ['Wait Until Done', 'Quit Now', 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
     title: 'Quit RcloneTray',
-    message: 'Are you sure you want to quit?',
-    detail: 'There is active processes that will be terminated.'
+    message: 'Some work is not finished yet. Quitting now can lose files that are not uploaded.',
+    detail: detail || 'There is active processes that will be terminated.'
+  })
+  return ['wait', 'force', 'cancel'][choice]
+}
+
+/**
+ * Show progress of pending work before quit
+ * @returns {Promise<boolean>} Quit, false when cancelled
+ */
+const quitProgress = function () {
+  return new Promise((resolve) => {
+    let quit = false
+    const dialog = createNewDialog('QuitProgress', {
+      $singleId: 'quit_progress',
+      width: 520,
+      height: 260,
+      title: 'Quitting RcloneTray',
+      minimizable: false
+    }, {
+      quit: function () {
+        quit = true
+      }
+    })
+
+    dialog.on('closed', () => {
+      resolve(quit)
+    })
+  })
+}
+
+/**
+ * Confirm unmount of a mount point with files still in the write cache
+ * @param {string} mountPath
+ * @param {{uploading: number, queued: number}} pending
+ * @returns {string} wait, force or cancel
+ */
+const confirmUnmount = function (mountPath, pending) {
+  let choice = dialog.showMessageBox(null, {
+    type: 'warning',
+    buttons: ['Unmount When Done', 'Unmount Now', 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
+    title: 'Unmount',
+    message: `${mountPath} has files that are not uploaded yet.`,
+    detail: `${pending.uploading} file(s) uploading, ${pending.queued} queued. Unmounting now loses the changes that are not uploaded.`
+  })
+  return ['wait', 'force', 'cancel'][choice]
+}
+
+/**
+ * Confirm clearing the VFS cache of a mount point, it gets remounted
+ * @param {string} mountPath
+ * @param {string} cacheSize
+ * @returns {boolean}
+ */
+const confirmClearCache = function (mountPath, cacheSize) {
+  let choice = dialog.showMessageBox(null, {
+    type: 'warning',
+    buttons: ['Clear Cache', 'Cancel'],
+    title: 'Clear Cache',
+    message: `Clear the cache of ${mountPath}?`,
+    detail: `${cacheSize} of cached files will be deleted. The mount point is unmounted while the cache is cleared, files open in other applications will be closed.`
   })
   return choice === 0
 }
 
+/**
+ * Offer to obscure passwords that are saved as plain text in rclone.conf
+ * @param {Array<{name: string, keys: Array<string>}>} found
+ * @returns {string} migrate, later or never
+ */
+const confirmSecretMigration = function (found) {
+  let choice = dialog.showMessageBox(null, {
+    type: 'warning',
+    buttons: ['Obscure Now', 'Not Now', 'Don\'t Ask Again'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Plain Text Passwords',
+    message: `${found.length} bookmark(s) have passwords saved as plain text. Rclone expects them obscured and fails to authenticate.`,
+    detail: found.map(item => `${item.name}: ${item.keys.join(', ')}`).join('\n')
+  })
+  return ['migrate', 'later', 'never'][choice]
+}
+
 /**
  * Show missing Rclone action dialog
  * @returns {Number}
@@ -324,6 +503,73 @@ const addSyncPoint = function(bookmark, suggestedName) {
 };
 
 
+/**
+ * Show dry-run preview of a sync point and ask to run it for real
+ * @param {Object} bookmark
+ * @param {Object} syncConfig
+ * @param {Object} preview Result of RcloneSyncService.previewSync()
+ * @returns {Promise<boolean>} Confirmed
+ */
+const syncPreview = function (bookmark, syncConfig, preview) {
+  return new Promise((resolve) => {
+    let confirmed = false
+    const dialog = createNewDialog('SyncPreview', {
+      $singleId: `sync_preview_${bookmark.$name}_${syncConfig.name}`,
+      width: 600,
+      height: 420,
+      title: `Preview ${syncConfig.name} (${bookmark.$name})`,
+      minimizable: false
+    }, {
+      bookmark: bookmark,
+      syncConfig: syncConfig,
+      preview: preview,
+      confirm: function () {
+        confirmed = true
+      }
+    })
+
+    dialog.on('closed', () => {
+      resolve(confirmed)
+    })
+  })
+}
+
+/**
+ * Show finished runs of a sync point
+ * @param {Object} bookmark
+ * @param {Object} syncConfig
+ */
+const syncHistory = function (bookmark, syncConfig) {
+  createNewDialog('SyncHistory', {
+    $singleId: `sync_history_${bookmark.$name}_${syncConfig.name}`,
+    width: 720,
+    height: 420,
+    title: `Sync History of ${syncConfig.name} (${bookmark.$name})`,
+    minimizable: false
+  }, {
+    bookmark: bookmark,
+    syncConfig: syncConfig
+  })
+}
+
+/**
+ * Review and resolve bisync conflicts of a sync point
+ * @param {Object} bookmark
+ * @param {Object} syncConfig
+ */
+const syncConflicts = function (bookmark, syncConfig) {
+  createNewDialog('SyncConflicts', {
+    $singleId: `sync_conflicts_${bookmark.$name}_${syncConfig.name}`,
+    width: 720,
+    height: 420,
+    title: `Conflicts of ${syncConfig.name} (${bookmark.$name})`,
+    minimizable: false
+  }, {
+    bookmark: bookmark,
+    syncConfig: syncConfig
+  })
+}
+
 /**
  * Initialize module
 */
@@ -416,12 +662,23 @@ module.exports = {
   editBookmark,
   addBookmark,
   preferences,
+  diagnostics,
   errorMultiInstance,
   uncaughtException,
   confirmExit,
+  quitProgress,
+  confirmUnmount,
+  confirmClearCache,
+  confirmSecretMigration,
   missingRclone,
   notification,
   rcloneAPIError,
   addMountPoint,
-  addSyncPoint
+  mountSettings,
+  selectRemoteDirectory,
+  configPassword,
+  addSyncPoint,
+  syncPreview,
+  syncHistory,
+  syncConflicts
 }
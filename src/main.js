@@ -82,6 +82,11 @@ app.on('ready', async function () {
     await tray.refresh()
     console.log('Initial tray refresh completed')
 
+    // Not part of startup, it may ask the user
+    rclone.checkPlaintextSecrets().catch(error => {
+      console.error('Failed to check for plain text passwords:', error)
+    })
+
     // Only on macOS there is app.dock.
     if (process.platform === 'darwin') {
       // Hide the app from dock and taskbar.
@@ -94,9 +99,30 @@ app.on('ready', async function () {
   }
 })
 
-// Prepare app to quit.
-app.on('before-quit', async () => {
-  await rclone.prepareQuit()
+// Prepare app to quit. Quit is held until pending work is confirmed
+// and everything is stopped, then requested again.
+let quitState = null
+app.on('before-quit', async (event) => {
+  if (quitState === 'ready') {
+    return
+  }
+  event.preventDefault()
+  if (quitState) {
+    return
+  }
+
+  quitState = 'confirming'
+  try {
+    if (!await rclone.confirmQuit()) {
+      quitState = null
+      return
+    }
+    await rclone.prepareQuit()
+  } catch (error) {
+    console.error('Failed to prepare quit:', error)
+  }
+  quitState = 'ready'
+  app.quit()
 })
 
 // Should not quit when all windows are closed,
@@ -1,20 +1,49 @@
 'use strict'
 
-const { exec, execSync, spawn } = require('child_process')
+const { execFile, execSync, spawn } = require('child_process')
 const os = require('os')
 const path = require('path')
 const fs = require('fs')
 const ini = require('ini')
-const { app } = require('electron')
+const { app, shell } = require('electron')
 const isDev = require('electron-is-dev')
 const settings = require('./settings')
 const dialogs = require('./dialogs')
 const fetch = require('node-fetch')
 const RcloneApiService = require('./RcloneApiService');
 const RcloneSyncService = require('./RcloneSyncService')
+const RcloneServeService = require('./RcloneServeService')
+const RcloneSyncScheduler = require('./RcloneSyncScheduler')
+const RcloneSyncHistory = require('./RcloneSyncHistory')
+const RcloneSyncConflicts = require('./RcloneSyncConflicts')
+const RcloneStatsService = require('./RcloneStatsService')
+const RcloneMountOptions = require('./RcloneMountOptions')
+const RcloneMountWatchdog = require('./RcloneMountWatchdog')
+const RcloneStartupRestorer = require('./RcloneStartupRestorer')
+const RcloneVfsCache = require('./RcloneVfsCache')
+const RcloneFilters = require('./RcloneFilters')
+const RcloneFuseDiagnostics = require('./RcloneFuseDiagnostics')
+const RcloneObscure = require('./RcloneObscure')
+const RcloneProcessRecovery = require('./RcloneProcessRecovery')
+const RcloneTrayStore = require('./RcloneTrayStore')
+const RcloneConfigWriter = require('./RcloneConfigWriter')
+const RcloneConfigFlow = require('./RcloneConfigFlow')
+const RcloneSecretStore = require('./RcloneSecretStore')
 const logger = require('./LoggingService');
 let apiService = null
 let syncService = null
+let serveService = null
+let syncScheduler = null
+let statsService = null
+let mountWatchdog = null
+let vfsCache = null
+let processRecovery = null
+let trayStore = null
+let configWriter = null
+
+// Bookmark creations waiting for an answer, by bookmark name
+const configFlows = new Map()
+const startupRestorer = new RcloneStartupRestorer()
 
 // Constants
 const UnsupportedRcloneProviders = [
@@ -102,8 +131,11 @@ const Cache = {
   uploads: {},
   automaticUploads: {},
   servePoints: {},
+  mountErrors: {},
   apiProcess: null,
   apiEndpoint: null,
+  configPassword: null,
+  configPasswordRemembered: false,
   syncPoints: new Map()
 }
 
@@ -125,7 +157,9 @@ const setupConfigWatcher = function() {
         const debounceDelay = 1000; // Задержка для избежания множественных обновлений
 
         configWatcher = fs.watch(Cache.configFile, async (eventType, filename) => {
-            if (eventType === 'change') {
+            // Конфиг сохраняется через переименование временного файла,
+            // после этого надо следить за новым файлом
+            if (eventType === 'change' || eventType === 'rename') {
                 // Используем debounce чтобы не обрабатывать множественные события
                 if (debounceTimer) {
                     clearTimeout(debounceTimer);
@@ -134,6 +168,9 @@ const setupConfigWatcher = function() {
                 debounceTimer = setTimeout(async () => {
                     try {
                         logger.info('Config file changed, updating caches...');
+                        if (eventType === 'rename') {
+                            setupConfigWatcher();
+                        }
                         
                         // Обновляем кеши
                         await updateBookmarksCache();
@@ -180,6 +217,234 @@ const getRcloneBinary = function() {
   return settings.get('rclone_use_bundled') ? RcloneBinaryBundled : RcloneBinaryName
 }
 
+/**
+ * Config file is encrypted with rclone config encryption
+ * @returns {boolean}
+ */
+const isConfigEncrypted = function() {
+  try {
+    return /^\s*RCLONE_ENCRYPT_V0:/m.test(fs.readFileSync(getConfigFilePath(), 'utf-8'))
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * @returns {string}
+ * @private
+ */
+const getConfigFilePath = function() {
+  return Cache.configFile || settings.get('rclone_config')
+}
+
+/**
+ * Keyring account of the config password, one per config file
+ * @returns {string}
+ * @private
+ */
+const getConfigPasswordAccount = function() {
+  return path.resolve(getConfigFilePath())
+}
+
+/**
+ * Arguments for rclone processes to read an encrypted config
+ * @param {boolean} interactive Runs in a terminal, where rclone may ask for the password
+ * @returns {Array<string>}
+ */
+const getConfigPasswordArgs = function(interactive = false) {
+  if (!isConfigEncrypted()) {
+    return []
+  }
+  const args = interactive ? [] : ['--ask-password=false']
+  if (Cache.configPasswordRemembered) {
+    // rclone takes the password from the keyring itself
+    args.push(`--password-command=${RcloneSecretStore.getPasswordCommand(getConfigPasswordAccount())}`)
+  }
+  return args
+}
+
+/**
+ * Environment for rclone processes, with the config password when it is not in the keyring
+ * @returns {Object}
+ */
+const getRcloneEnv = function() {
+  if (!Cache.configPassword || Cache.configPasswordRemembered || !isConfigEncrypted()) {
+    return process.env
+  }
+  return Object.assign({}, process.env, { RCLONE_CONFIG_PASS: Cache.configPassword })
+}
+
+/**
+ * Try a password on the config
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ * @private
+ */
+const checkConfigPassword = function(password) {
+  return new Promise(resolve => {
+    execFile(getRcloneBinary(), ['listremotes', `--config=${getConfigFilePath()}`, '--ask-password=false'], {
+      env: Object.assign({}, process.env, { RCLONE_CONFIG_PASS: password }),
+      timeout: 15000
+    }, error => resolve(!error))
+  })
+}
+
+/**
+ * Unlock an encrypted config, with the password from the keyring or asked for
+ * @returns {Promise<boolean>} false when the config stays locked
+ */
+const unlockConfig = async function() {
+  Cache.configPassword = null
+  Cache.configPasswordRemembered = false
+  if (!isConfigEncrypted()) {
+    return true
+  }
+
+  const account = getConfigPasswordAccount()
+  const canRemember = await RcloneSecretStore.isAvailable()
+  if (canRemember) {
+    const stored = await RcloneSecretStore.get(account)
+    if (stored && await checkConfigPassword(stored)) {
+      logger.info('Unlocked rclone config with the password from the keyring')
+      Cache.configPassword = stored
+      Cache.configPasswordRemembered = true
+      return true
+    }
+  }
+
+  let error = ''
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const answer = await dialogs.configPassword({
+      mode: 'unlock',
+      configFile: account,
+      canRemember,
+      error
+    })
+    if (!answer) {
+      break
+    }
+    if (!await checkConfigPassword(answer.password)) {
+      error = 'Wrong password, try again.'
+      continue
+    }
+
+    Cache.configPassword = answer.password
+    if (answer.remember) {
+      try {
+        await RcloneSecretStore.set(account, answer.password, `Rclone config ${account}`)
+        Cache.configPasswordRemembered = true
+      } catch (storeError) {
+        logger.error('Failed to store the config password in the keyring:', storeError)
+        dialogs.notification(`Failed to remember the password: ${storeError.message}`)
+      }
+    }
+    return true
+  }
+
+  logger.warn('Rclone config stays locked')
+  dialogs.notification('The rclone config stays locked, bookmarks are not available')
+  return false
+}
+
+/**
+ * Encryption state of the config
+ * @returns {{encrypted: boolean, locked: boolean, remembered: boolean}}
+ */
+const getConfigEncryption = function() {
+  const encrypted = isConfigEncrypted()
+  return {
+    encrypted,
+    locked: encrypted && !Cache.configPassword,
+    remembered: encrypted && !!Cache.configPasswordRemembered
+  }
+}
+
+/**
+ * Set, change or remove the config password with rclone config encryption.
+ * rclone asks for passwords through --password-command, answered by a small node
+ * script reading them from its environment, so they never show up in the process list.
+ * @param {string|null} newPassword null to decrypt
+ * @param {boolean} remember Keep the new password in the keyring
+ * @returns {Promise}
+ * @private
+ */
+const setConfigPassword = async function(newPassword, remember) {
+  const account = getConfigPasswordAccount()
+  const script = "process.stdout.write(process.env[process.env.RCLONE_PASSWORD_CHANGE === '1' ? 'RCLONETRAY_NEW_PASSWORD' : 'RCLONETRAY_PASSWORD'] || '')"
+  const passwordCommand = [process.execPath, '-e', script].map(RcloneSecretStore.quoteCommandArg).join(' ')
+
+  await new Promise((resolve, reject) => {
+    execFile(getRcloneBinary(), [
+      'config', 'encryption', newPassword ? 'set' : 'remove',
+      `--config=${getConfigFilePath()}`,
+      `--password-command=${passwordCommand}`
+    ], {
+      env: Object.assign({}, process.env, {
+        ELECTRON_RUN_AS_NODE: '1',
+        RCLONETRAY_PASSWORD: Cache.configPassword || '',
+        RCLONETRAY_NEW_PASSWORD: newPassword || ''
+      }),
+      timeout: 30000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || '').trim() || error.message))
+      } else {
+        resolve()
+      }
+    })
+  })
+
+  Cache.configPassword = newPassword
+  Cache.configPasswordRemembered = false
+  await RcloneSecretStore.remove(account)
+  if (newPassword && remember) {
+    try {
+      await RcloneSecretStore.set(account, newPassword, `Rclone config ${account}`)
+      Cache.configPasswordRemembered = true
+    } catch (error) {
+      logger.error('Failed to store the config password in the keyring:', error)
+      dialogs.notification(`Failed to remember the password: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Encrypt the config, change its password or decrypt it, asking for the new password.
+ * Running rclone processes keep the old password, so a restart is needed.
+ * @param {string} action encrypt, change or decrypt
+ * @returns {Promise<boolean>} false when cancelled
+ */
+const changeConfigEncryption = async function(action) {
+  const state = getConfigEncryption()
+  if (action !== 'encrypt' && !state.encrypted) {
+    throw new Error('The config is not encrypted')
+  }
+  if (action === 'encrypt' && state.encrypted) {
+    throw new Error('The config is already encrypted')
+  }
+  if (state.locked) {
+    throw new Error('Unlock the config first, restart RcloneTray to be asked for the password')
+  }
+
+  if (action === 'decrypt') {
+    await setConfigPassword(null, false)
+  } else {
+    const answer = await dialogs.configPassword({
+      mode: 'new',
+      configFile: getConfigPasswordAccount(),
+      canRemember: await RcloneSecretStore.isAvailable(),
+      remember: state.remembered
+    })
+    if (!answer) {
+      return false
+    }
+    await setConfigPassword(answer.password, answer.remember)
+  }
+
+  logger.info(`Rclone config encryption: ${action}`)
+  return true
+}
+
 /**
  * Make request to Rclone API with retry
  * @param {string} method 
@@ -203,6 +468,25 @@ const makeRcloneRequest = async function(method, endpoint, params = null) {
   }
 };
 
+/**
+ * Run rclone without blocking the main process, config changes can take a while
+ * @param {Array<string>} args
+ * @param {number} timeout In ms
+ * @returns {Promise<string>} stdout
+ * @private
+ */
+const runRclone = function(args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(getRcloneBinary(), args, { env: getRcloneEnv(), timeout, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || '').trim() || error.message))
+      } else {
+        resolve(stdout)
+      }
+    })
+  })
+}
+
 const executeCliCommand = async function(endpoint, params) {
   logger.info('Executing CLI command for endpoint:', endpoint)
   const rcloneBinary = getRcloneBinary()
@@ -215,21 +499,53 @@ const executeCliCommand = async function(endpoint, params) {
       }
 
       case 'config/providers': {
-        const providers = {}
-        const providerOutput = execSync(`${rcloneBinary} config providers`).toString()
-        providerOutput.split('\n').forEach(line => {
-          const match = line.match(/^\s*(\w+):\s*(.+)$/)
-          if (match) {
-            providers[match[1]] = match[2]
-          }
-        })
+        // Same JSON as rc returns, with the options of each provider
+        const providers = JSON.parse(await runRclone(['config', 'providers'], 15000))
         return { providers }
       }
 
+      case 'config/create':
+      case 'config/update': {
+        const opt = params.opt || {}
+        const args = endpoint === 'config/create'
+          ? ['config', 'create', params.name, params.type]
+          : ['config', 'update', params.name]
+        Object.keys(params.parameters || {}).forEach(key => {
+          args.push(`${key}=${params.parameters[key]}`)
+        })
+        if (opt.nonInteractive) {
+          args.push('--non-interactive')
+        }
+        if (opt.obscure) {
+          args.push('--obscure')
+        }
+        if (opt.noObscure) {
+          args.push('--no-obscure')
+        }
+        if (opt.continue) {
+          args.push('--continue', `--state=${opt.state}`, `--result=${opt.result}`)
+        }
+        args.push(`--config=${Cache.configFile}`, ...getConfigPasswordArgs())
+        const output = await runRclone(args, 60000)
+        return output.trim() ? JSON.parse(output) : {}
+      }
+
+      case 'config/delete': {
+        await runRclone(['config', 'delete', params.name, `--config=${Cache.configFile}`, ...getConfigPasswordArgs()], 15000)
+        return {}
+      }
+
       case 'config/dump': {
         if (!fs.existsSync(Cache.configFile)) {
           return {}
         }
+        if (isConfigEncrypted()) {
+          // Only rclone can read it, with the password
+          if (!Cache.configPassword) {
+            return {}
+          }
+          return JSON.parse(await runRclone(['config', 'dump', `--config=${Cache.configFile}`, ...getConfigPasswordArgs()], 15000))
+        }
         const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'))
         return config
       }
@@ -256,6 +572,9 @@ const executeCliCommand = async function(endpoint, params) {
 const DEFAULT_MOUNT_OPTIONS = {
   '_rclonetray_mount_enabled': false,     // Включено ли автомонтирование
   '_rclonetray_mount_path': '',           // Кастомный путь монтирования (если пусто - используется стандартный)
+  '_rclonetray_mount_start_delay': '0',   // Задержка автомонтирования при запуске, в секундах
+  '_rclonetray_mount_depends_on': '',     // Точки, после которых монтировать при запуске, через запятую
+  '_rclonetray_mount_group': '',          // Группа монтирования, например Work или Media
   '_rclonetray_mount_options': {          // Дополнительные опции монтирования
       '--vfs-cache-mode': 'writes',
       '--dir-cache-time': '30m',
@@ -270,35 +589,44 @@ const DEFAULT_MOUNT_OPTIONS = {
 * @private
 */
 const getMountConfig = function(bookmark, mountName = 'default') {
-  const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
-  const sectionKey = mountName === 'default' ? bookmark.$name : `${bookmark.$name}.mount_${mountName}`;
+  const section = trayStore.getMount(bookmark.$name, mountName);
   
   const mountConfig = {
       enabled: false,
       path: '',
       remotePath: '',
-      options: { ...DEFAULT_MOUNT_OPTIONS._rclonetray_mount_options }
+      startDelay: DEFAULT_MOUNT_OPTIONS._rclonetray_mount_start_delay,
+      dependsOn: DEFAULT_MOUNT_OPTIONS._rclonetray_mount_depends_on,
+      group: DEFAULT_MOUNT_OPTIONS._rclonetray_mount_group,
+      options: { ...DEFAULT_MOUNT_OPTIONS._rclonetray_mount_options },
+      filters: RcloneFilters.normalize()
   };
 
-  if (config[sectionKey]) {
+  if (section) {
       // Получаем путь в remote
-      if ('_rclonetray_remote_path' in config[sectionKey]) {
-          mountConfig.remotePath = config[sectionKey]._rclonetray_remote_path;
+      if ('_rclonetray_remote_path' in section) {
+          mountConfig.remotePath = section._rclonetray_remote_path;
       }
 
-      if ('_rclonetray_mount_enabled' in config[sectionKey]) {
-          mountConfig.enabled = config[sectionKey]._rclonetray_mount_enabled === 'true';
+      if ('_rclonetray_mount_enabled' in section) {
+          mountConfig.enabled = section._rclonetray_mount_enabled === 'true';
       }
 
-      if ('_rclonetray_mount_path' in config[sectionKey]) {
-          mountConfig.path = config[sectionKey]._rclonetray_mount_path;
+      if ('_rclonetray_mount_path' in section) {
+          mountConfig.path = section._rclonetray_mount_path;
       }
 
+      mountConfig.startDelay = section._rclonetray_mount_start_delay || mountConfig.startDelay;
+      mountConfig.dependsOn = section._rclonetray_mount_depends_on || mountConfig.dependsOn;
+      mountConfig.group = section._rclonetray_mount_group || mountConfig.group;
+
+      mountConfig.filters = RcloneFilters.fromSection(section, '_rclonetray_mount_filter_');
+
       // Получаем опции монтирования
-      Object.keys(config[sectionKey]).forEach(key => {
+      Object.keys(section).forEach(key => {
           if (key.startsWith('_rclonetray_mount_opt_')) {
               const optionName = '--' + key.replace('_rclonetray_mount_opt_', '');
-              mountConfig.options[optionName] = config[sectionKey][key];
+              mountConfig.options[optionName] = section[key];
           }
       });
   }
@@ -309,7 +637,6 @@ const getMountConfig = function(bookmark, mountName = 'default') {
 //**Получить все наборы настроек монтирования для закладки
 
 const getMountOptionSets = function(bookmark) {
-   const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
    const optionSets = [];
    const bookmarkName = bookmark.$name;
 
@@ -317,24 +644,19 @@ const getMountOptionSets = function(bookmark) {
    optionSets.push({
        name: 'Default Mount',
        id: 'default',
-       config: {
-           enabled: false,
-           path: '',
-           options: DEFAULT_MOUNT_OPTIONS._rclonetray_mount_options
-       }
+       config: getMountConfig(bookmark)
    });
 
    // Ищем дополнительные конфигурации
-   Object.keys(config).forEach(section => {
-       if (section.startsWith(`${bookmarkName}.mount_`) && section !== bookmarkName) {
-           const mountName = section.split('mount_')[1];
+   trayStore.listMounts(bookmarkName)
+       .filter(mountName => mountName !== 'default')
+       .forEach(mountName => {
            optionSets.push({
                name: `Mount ${mountName}`,
                id: mountName,
                config: getMountConfig(bookmark, mountName)
            });
-       }
-   });
+       });
 
    return optionSets;
 };
@@ -347,33 +669,84 @@ const getMountOptionSets = function(bookmark) {
  * Сохранить конфигурацию монтирования
  */
 const saveMountConfig = function(bookmark, config, mountName = 'default') {
-  const rcloneConfig = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
-  const sectionKey = mountName === 'default' ? bookmark.$name : `${bookmark.$name}.mount_${mountName}`;
-
-  if (!rcloneConfig[sectionKey]) {
-      rcloneConfig[sectionKey] = {};
-  }
+  const section = trayStore.getMount(bookmark.$name, mountName) || {};
 
   // Добавляем путь в remote
   if (config.remotePath) {
-      rcloneConfig[sectionKey]._rclonetray_remote_path = config.remotePath;
+      section._rclonetray_remote_path = config.remotePath;
   }
 
   // Сохраняем остальные настройки
-  rcloneConfig[sectionKey]._rclonetray_mount_enabled = config.enabled.toString();
+  section._rclonetray_mount_enabled = config.enabled.toString();
   
   if (config.path) {
-      rcloneConfig[sectionKey]._rclonetray_mount_path = config.path;
+      section._rclonetray_mount_path = config.path;
+  } else {
+      // Пустой путь - каталог в корне монтирования
+      delete section._rclonetray_mount_path;
   }
 
+  // Порядок восстановления при запуске
+  validateStartDelay(config.startDelay);
+  section._rclonetray_mount_start_delay = (config.startDelay || DEFAULT_MOUNT_OPTIONS._rclonetray_mount_start_delay).toString();
+  section._rclonetray_mount_depends_on = config.dependsOn || DEFAULT_MOUNT_OPTIONS._rclonetray_mount_depends_on;
+  section._rclonetray_mount_group = (config.group || DEFAULT_MOUNT_OPTIONS._rclonetray_mount_group).trim();
+
+  // Опции заменяются целиком, пустое значение означает значение rclone по умолчанию
+  RcloneMountOptions.validate(config.options);
+  Object.keys(section).forEach(key => {
+      if (key.startsWith('_rclonetray_mount_opt_')) {
+          delete section[key];
+      }
+  });
   Object.entries(config.options || {}).forEach(([key, value]) => {
-      rcloneConfig[sectionKey][`_rclonetray_mount_opt_${key.replace('--', '')}`] = value;
+      section[`_rclonetray_mount_opt_${key.replace('--', '')}`] = value;
   });
 
-  fs.writeFileSync(Cache.configFile, ini.stringify(rcloneConfig));
+  if (config.filters) {
+      RcloneFilters.validate(config.filters);
+      RcloneFilters.toSection(section, '_rclonetray_mount_filter_', config.filters);
+  }
+
+  trayStore.setMount(bookmark.$name, mountName, section);
   logger.info(`Mount config saved for ${bookmark.$name} (${mountName})`);
 };
 
+/**
+ * Versions before the mount settings editor requested --allow-other for every mount, now it
+ * is an option that is off by default. Existing mount points get it explicitly, once, unless
+ * fuse.conf forbids it on Linux, where such mounts could only work without it.
+ * @returns {number} Mount points that keep it
+ * @private
+ */
+const migrateAllowOther = function() {
+  if (settings.get('rclone_mount_allow_other_migrated') || !['linux', 'darwin'].includes(process.platform)) {
+      return 0;
+  }
+
+  const permitted = process.platform !== 'linux' || RcloneFuseDiagnostics.checkFuseConfig(true).ok;
+  let kept = 0;
+  Object.keys(Cache.bookmarks).forEach(bookmarkName => {
+      trayStore.listMounts(bookmarkName).forEach(mountName => {
+          const section = trayStore.getMount(bookmarkName, mountName);
+          if ('_rclonetray_mount_opt_allow-other' in section) {
+              return;
+          }
+          section['_rclonetray_mount_opt_allow-other'] = permitted ? 'true' : 'false';
+          trayStore.setMount(bookmarkName, mountName, section);
+          kept += permitted ? 1 : 0;
+      });
+  });
+
+  settings.set('rclone_mount_allow_other_migrated', true);
+  if (kept) {
+      logger.info(`Kept --allow-other for ${kept} existing mount point(s)`);
+      dialogs.notification(`"Allow other users" is now a mount setting, off for new mount points. ` +
+          `${kept} existing mount point(s) keep it on, change it in Mount Settings.`);
+  }
+  return kept;
+};
+
 /**
 * Получить опции монтирования
 * @private
@@ -387,23 +760,164 @@ const getMountOptions = function(bookmark) {
 };
 
 /**
-* Восстановить состояния монтирования
-*/
-const restoreMountStates = async function() {
-  try {
-      const bookmarks = getBookmarks();
-      for (const bookmarkName in bookmarks) {
-          const bookmark = bookmarks[bookmarkName];
-          const config = getMountConfig(bookmark);
-          
-          if (config.enabled) {
-              logger.info('Auto-mounting', bookmarkName);
-              await mount(bookmark);
+ * Get field definitions of the mount settings editor, with help from the running rcd
+ * @param {Object} bookmark
+ * @param {string|null} mountName Existing mount point, null for a new one
+ * @returns {Promise<Array>}
+ */
+const getMountOptionFields = async function(bookmark, mountName = null) {
+  let info = null;
+  let current = null;
+  if (apiService) {
+      try {
+          info = await apiService.makeRequest('options/info', 'POST');
+      } catch (error) {
+          logger.warn(`options/info is not available, falling back to options/get: ${error.message}`);
+          try {
+              current = await apiService.makeRequest(ApiUrls.getOptions, 'POST');
+          } catch (getError) {
+              logger.error(`Failed to get rclone options: ${getError.message}`);
           }
       }
-  } catch (error) {
-      logger.error('Failed to restore mount states:', error);
   }
+
+  const options = mountName
+      ? getMountConfig(bookmark, mountName).options
+      : { ...DEFAULT_MOUNT_OPTIONS._rclonetray_mount_options };
+  return RcloneMountOptions.getEditorFields(options, info, current);
+};
+
+/**
+ * Save options from the mount settings editor
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @param {Object} data Form data of the editor
+ * @returns {boolean} The mount point is mounted and needs remount to apply
+ */
+const saveMountOptions = function(bookmark, mountName, data) {
+  const config = getMountConfig(bookmark, mountName);
+  config.options = RcloneMountOptions.fromEditorData(data, config.options);
+  saveMountConfig(bookmark, config, mountName);
+  UpdateCallbacksRegistry.forEach(callback => callback());
+  return !!getMountStatus(bookmark, mountName);
+};
+
+/**
+ * Id of a mount or sync point in the startup order, as stored in dependsOn
+ * @param {string} type mount or sync
+ * @param {string} bookmarkName
+ * @param {string} pointName
+ * @returns {string}
+ */
+const getStartupPointId = function(type, bookmarkName, pointName) {
+  return `${type}:${bookmarkName}/${pointName}`;
+};
+
+const parseDependsOn = function(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(item => item);
+};
+
+const validateStartDelay = function(value) {
+  if (value !== undefined && value !== null && value !== '' && !/^\d+$/.test(value.toString().trim())) {
+    throw new Error(`Invalid start delay "${value}", use a number of seconds`);
+  }
+};
+
+/**
+ * Mount and sync points that can take part in the startup order
+ * @returns {Array<{id: string, type: string, label: string}>}
+ */
+const getStartupPoints = function() {
+  const points = [];
+  Object.values(Cache.bookmarks).forEach(bookmark => {
+      getMountOptionSets(bookmark).forEach(set => points.push({
+          id: getStartupPointId('mount', bookmark.$name, set.id),
+          type: 'mount',
+          label: `${bookmark.$name}: ${set.name}`
+      }));
+      getSyncOptionSets(bookmark).forEach(set => points.push({
+          id: getStartupPointId('sync', bookmark.$name, set.id),
+          type: 'sync',
+          label: `${bookmark.$name}: ${set.name}`
+      }));
+  });
+  return points;
+};
+
+/**
+ * Save startup order of a mount point
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @param {{startDelay: string, dependsOn: string}} startup
+ */
+const saveMountStartup = function(bookmark, mountName, startup) {
+  const config = getMountConfig(bookmark, mountName);
+  config.startDelay = (startup.startDelay || '').toString().trim();
+  config.dependsOn = parseDependsOn(startup.dependsOn).join(',');
+  saveMountConfig(bookmark, config, mountName);
+};
+
+/**
+ * Put a mount point into a mount group, empty group removes it from its group
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @param {string} group
+ */
+const saveMountGroup = function(bookmark, mountName, group) {
+  const config = getMountConfig(bookmark, mountName);
+  config.group = (group || '').trim();
+  saveMountConfig(bookmark, config, mountName);
+  UpdateCallbacksRegistry.forEach(callback => callback());
+};
+
+/**
+ * Mount what was mounted at quit and run syncs scheduled on startup,
+ * in the configured order. Failures are reported in one notification.
+ */
+const restoreOnStartup = async function() {
+  const points = [];
+
+  Object.values(Cache.bookmarks).forEach(bookmark => {
+      getMountOptionSets(bookmark)
+          .filter(set => set.config.enabled)
+          .forEach(set => points.push({
+              id: getStartupPointId('mount', bookmark.$name, set.id),
+              label: `mount ${bookmark.$name}${set.id !== 'default' ? ` (${set.id})` : ''}`,
+              delay: parseInt(set.config.startDelay, 10) || 0,
+              dependsOn: parseDependsOn(set.config.dependsOn),
+              run: async () => {
+                  if (getMountStatus(bookmark, set.id) || await mount(bookmark, set.id, true)) {
+                      return true;
+                  }
+                  throw new Error(Cache.mountErrors[getMountCacheKey(bookmark.$name, set.id)] || 'failed to mount');
+              }
+          }));
+  });
+
+  getAllSyncPoints()
+      .filter(({ config }) => config.schedule === 'startup')
+      .forEach(({ bookmark, config }) => points.push({
+          id: getStartupPointId('sync', bookmark.$name, config.name),
+          label: `sync ${bookmark.$name} (${config.name})`,
+          delay: parseInt(config.startDelay, 10) || 0,
+          dependsOn: parseDependsOn(config.dependsOn),
+          run: async () => {
+              if (!await syncService.startSync(bookmark, config, { unattended: true })) {
+                  return false;
+              }
+              // Points waiting for this sync start after it finished, waitForSync throws on failure
+              await syncService.waitForSync(bookmark, config.name);
+              return true;
+          }
+      }));
+
+  if (!points.length) {
+      return;
+  }
+
+  logger.info(`Restoring ${points.length} mount and sync point(s) on startup`);
+  await startupRestorer.restore(points);
+  UpdateCallbacksRegistry.forEach(callback => callback());
 };
 
 const stopRcloneAPI = async function() {
@@ -412,6 +926,13 @@ const stopRcloneAPI = async function() {
     Cache.apiProcess = null
     Cache.apiEndpoint = null
     logger.info('Rclone API stopped');
+  } else if (processRecovery && processRecovery.adopted) {
+    await processRecovery.stopAdopted()
+    Cache.apiEndpoint = null
+    logger.info('Adopted Rclone API stopped');
+  }
+  if (processRecovery) {
+    processRecovery.clearPid()
   }
 }
 
@@ -471,14 +992,19 @@ const startRcloneAPI = async function() {
               '--no-check-certificate',
               '--log-level=DEBUG',
               '--log-file=' + settings.get('rclone_log_path'),
+              ...getConfigPasswordArgs()
           ];
 
           logger.info('Starting Rclone API with command:', rcloneBinary, command.join(' '));
           dialogs.notification('Starting Rclone API')
           const apiProcess = spawn(rcloneBinary, command, {
               stdio: ['ignore', 'pipe', 'pipe'],
+              env: getRcloneEnv(),
               detached: false
           });
+          if (processRecovery && apiProcess.pid) {
+              processRecovery.writePid(apiProcess.pid);
+          }
 
           let isStarted = false;
           let checkInterval = null;
@@ -567,11 +1093,25 @@ const updateProvidersCache = async function() {
     const response = await makeRcloneRequest('POST', ApiUrls.providers)
     Cache.providers = {}
     
-    Object.keys(response.providers).forEach(type => {
+    response.providers.forEach(provider => {
+      const type = provider.Name
       if (!UnsupportedRcloneProviders.includes(type)) {
         Cache.providers[type] = {
+          ...provider,
+          // Local folder the remote root is mapped to, kept by RcloneTray
+          // Passwords are obscured, don't show them
+          Options: (provider.Options || []).map(option => {
+            return option.IsPassword ? { ...option, $Type: 'password' } : option
+          }).concat({
+            Name: '_rclonetray_local_path_map',
+            $Label: 'Local Path',
+            $Type: 'directory',
+            Help: 'Local folder that corresponds to the remote root, used by Upload and Download.',
+            Required: false,
+            Advanced: false
+          }),
           type,
-          description: response.providers[type],
+          description: provider.Description,
           requiresBucket: BucketRequiredProviders.includes(type)
         }
       }
@@ -595,13 +1135,12 @@ const updateBookmarksCache = async function() {
 
       Object.keys(response).forEach(name => {
           // Пропускаем служебные секции
-          if (name === 'RCLONE_ENCRYPT_V0' || 
-              name.includes('.mount_') || 
-              name.includes('.sync_')) {
+          if (name === 'RCLONE_ENCRYPT_V0') {
               return;
           }
 
-          const bookmark = response[name];
+          // Состояние трея, например local path mapping, хранится отдельно
+          const bookmark = { ...response[name], ...trayStore.getTray(name) };
           bookmark.$name = name;
           Cache.bookmarks[name] = bookmark;
       });
@@ -626,8 +1165,48 @@ const init = async function() {
 
     logger.info('Initializing Rclone...');
 
+    // Точки монтирования и синхронизации хранятся отдельно от rclone.conf,
+    // прежние версии писали их в секции remote
+    configWriter = new RcloneConfigWriter(() => Cache.configFile || settings.get('rclone_config'));
+    trayStore = new RcloneTrayStore(path.join(app.getPath('userData'), 'rclonetray.json'));
+    try {
+        const moved = await trayStore.migrateConfig(configWriter);
+        if (moved) {
+            logger.info(`Moved ${moved} RcloneTray setting(s) out of ${settings.get('rclone_config')}`);
+        }
+    } catch (error) {
+        logger.error('Failed to move RcloneTray settings out of rclone.conf:', error);
+    }
+
+    // rcd and other rclone processes can't read an encrypted config without the password
+    const unlocked = await unlockConfig();
+
+    // rcd of a crashed instance may still hold the port
+    processRecovery = new RcloneProcessRecovery({
+        pidFile: path.join(app.getPath('userData'), 'rcd.pid'),
+        port: settings.get('rclone_api_port'),
+        user: 'user',
+        pass: 'pass',
+        configFile: settings.get('rclone_config'),
+        getRcloneBinary
+    });
+    let recovered = { action: 'none' };
+    if (settings.get('rclone_api_enable')) {
+        recovered = await processRecovery.recover();
+        if (recovered.action !== 'none') {
+            logger.info(`Leftover Rclone API ${recovered.action}: ${recovered.reason}`);
+        }
+        if (recovered.action === 'adopted') {
+            Cache.apiEndpoint = `http://127.0.0.1:${settings.get('rclone_api_port')}`;
+            dialogs.notification('Reusing Rclone API left running by a previous session');
+        } else if (recovered.action === 'occupied') {
+            dialogs.notification(`${recovered.reason}, Rclone API is not started. Close the program holding the port and restart RcloneTray.`);
+        }
+    }
+
     // Try to start API server
-    const apiStarted = await startRcloneAPI()
+    const apiStarted = recovered.action === 'adopted' ||
+        (unlocked && recovered.action !== 'occupied' && await startRcloneAPI())
     
     if (apiStarted) {
       logger.info('Rclone API server started successfully')
@@ -635,13 +1214,36 @@ const init = async function() {
       apiService = new RcloneApiService(settings.get('rclone_api_port'), 'user', 'pass')
       setupConfigWatcher();
 
+      // Live progress, polled only while something can transfer
+      statsService = new RcloneStatsService(apiService, {
+          isActive: () => Object.keys(Cache.mountPoints).length > 0 ||
+              Object.keys(Cache.downloads).length > 0 ||
+              Object.keys(Cache.uploads).length > 0 ||
+              (syncService && syncService.activeSyncs.size > 0),
+          onUpdate: () => UpdateCallbacksRegistry.forEach(callback => callback())
+      });
+      statsService.start();
+
       // Создаем Sync сервис с зависимостями
       syncService = new RcloneSyncService(
           apiService,
           getSyncConfig,  // Функция получения конфига
-          saveSyncConfig  // Функция сохранения конфига
+          saveSyncConfig, // Функция сохранения конфига
+          {
+              downloads: Cache.downloads,
+              uploads: Cache.uploads,
+              automaticUploads: Cache.automaticUploads,
+              history: new RcloneSyncHistory(path.join(app.getPath('userData'), 'sync-history.json')),
+              stats: statsService,
+              onUpdate: () => UpdateCallbacksRegistry.forEach(callback => callback())
+          }
       );
       
+      syncScheduler = new RcloneSyncScheduler(syncService, {
+          getSyncPoints: getAllSyncPoints,
+          onUpdate: () => UpdateCallbacksRegistry.forEach(callback => callback())
+      });
+
       // Сохраняем в кеш
       Cache.apiService = apiService
       Cache.syncService = syncService
@@ -649,6 +1251,24 @@ const init = async function() {
       logger.info('Running in CLI mode')
     }
 
+    // Serving works without the API too, through supervised serve processes
+    serveService = new RcloneServeService(
+        apiStarted ? apiService : null,
+        Cache.servePoints,
+        {
+            getRcloneBinary,
+            getConfigFile: () => Cache.configFile,
+            getPasswordArgs: () => getConfigPasswordArgs(),
+            getEnv: getRcloneEnv,
+            getCredentials: () => ({
+                user: settings.get('rclone_serving_username'),
+                pass: settings.get('rclone_serving_password')
+            }),
+            onUpdate: () => UpdateCallbacksRegistry.forEach(callback => callback())
+        }
+    );
+    Cache.serveService = serveService
+
     // Get version
     const versionResponse = await makeRcloneRequest('POST', 'core/version')
     Cache.version = versionResponse.version
@@ -662,8 +1282,54 @@ const init = async function() {
     // Initialize caches
     await updateProvidersCache();
     await updateBookmarksCache();
+
+    try {
+        migrateAllowOther();
+    } catch (error) {
+        logger.error('Failed to keep "Allow other users" of existing mount points:', error);
+    }
+
+    // Dead FUSE endpoints of a crashed session block mounting at the same paths
+    let activeMounts = [];
+    if (recovered.action === 'adopted') {
+        try {
+            const response = await apiService.listMounts();
+            activeMounts = Object.values(response.mountPoints || {}).map(item => item.MountPoint);
+        } catch (error) {
+            logger.warn(`Failed to list mounts of adopted Rclone API: ${error.message}`);
+        }
+    }
+    // Mounts behind a port another rclone holds are none of our business
+    const unmounted = recovered.action === 'occupied' ? [] :
+        await processRecovery.cleanStaleMounts(getKnownMountPaths(), activeMounts);
+    if (unmounted.length) {
+        dialogs.notification(`Cleaned up ${unmounted.length} stale mount(s) left by a previous session`);
+    }
+
     if (apiStarted) {
         await updateMountPointsCache();
+
+        mountWatchdog = new RcloneMountWatchdog(apiService, {
+            getMountPoints: () => Cache.mountPoints,
+            remount: remountLost,
+            onUpdate: () => UpdateCallbacksRegistry.forEach(callback => callback())
+        });
+        mountWatchdog.start();
+
+        vfsCache = new RcloneVfsCache(apiService, {
+            getMountPoints: () => Cache.mountPoints,
+            onUpdate: () => UpdateCallbacksRegistry.forEach(callback => callback())
+        });
+        vfsCache.start();
+    }
+
+    if (syncScheduler) {
+        syncScheduler.start();
+    }
+
+    // Doesn't block startup, delays and retries can take minutes
+    if (apiStarted && settings.get('rclone_restore_on_startup')) {
+        restoreOnStartup().catch(error => logger.error('Failed to restore on startup:', error));
     }
 
     logger.info('Rclone initialized successfully');
@@ -674,180 +1340,1010 @@ const init = async function() {
 }
 }
 
-const prepareQuit = async function() {
-  logger.info('Preparing to quit...');
-  cleanupConfigWatcher();
-  if (syncService) {
-      await syncService.cleanup();
+/**
+ * Work that is lost when rcd stops now: files waiting in VFS write caches,
+ * running syncs, transfers and other rc jobs
+ * @returns {Promise<{uploads: Array<{path: string, uploading: number, queued: number}>, syncs: Array<string>, transfers: Array<string>, jobs: number}>}
+ */
+const getPendingWork = async function() {
+  const work = { uploads: [], syncs: [], transfers: [], jobs: 0 };
+  if (!apiService) {
+      return work;
   }
-  await stopRcloneAPI();
-  logger.info('Cleanup completed');
-}
 
-// Provider functions
-const getProvider = function(type) {
-  if (!(type in Cache.providers)) {
-    logger.error(`Provider ${type} not found`);
-    throw new Error(`Provider ${type} not found`)
+  if (vfsCache) {
+      for (const entry of Object.values(Cache.mountPoints)) {
+          const pending = await getPendingUploads(entry);
+          if (pending) {
+              work.uploads.push({ path: entry.path, uploading: pending.uploading, queued: pending.queued });
+          }
+      }
   }
-  return Cache.providers[type]
-}
 
-const getProviders = function() {
-  return Cache.providers
-}
+  if (syncService) {
+      syncService.activeSyncs.forEach((syncInfo, syncKey) => work.syncs.push(syncKey));
+  }
+  Object.keys(Cache.downloads).forEach(bookmarkName => work.transfers.push(`Download of ${bookmarkName}`));
+  Object.keys(Cache.uploads).forEach(bookmarkName => work.transfers.push(`Upload of ${bookmarkName}`));
 
-// Bookmark functions
-const getBookmark = function(id) {
-  if (!(id in Cache.bookmarks)) {
-    logger.error(`Bookmark ${id} not found`);
-    throw new Error(`Bookmark ${id} not found`)
+  try {
+      const jobs = await apiService.makeRequest(ApiUrls.listJobs, 'POST');
+      // runningIds is there since rclone 1.64, older versions list finished jobs too
+      work.jobs = (jobs.runningIds || []).length;
+  } catch (error) {
+      logger.warn(`Failed to list rclone jobs: ${error.message}`);
   }
-  return Cache.bookmarks[id]
-}
 
-const getBookmarks = function() {
-  return Cache.bookmarks
-}
+  return work;
+};
 
-const addBookmark = function(name, config) {
-  config.$name = name
-  Cache.bookmarks[name] = config
-  
-  const rcloneConfig = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'))
-  rcloneConfig[name] = config
-  fs.writeFileSync(Cache.configFile, ini.stringify(rcloneConfig))
-  
-  logger.info(`Bookmark ${name} added`);
-  UpdateCallbacksRegistry.forEach(callback => callback())
+/**
+ * @param {Object} work Result of getPendingWork()
+ * @returns {boolean}
+ */
+const hasPendingWork = function(work) {
+  return work.uploads.length > 0 || work.syncs.length > 0 || work.transfers.length > 0 || work.jobs > 0;
+};
+
+/**
+ * Human readable lines of pending work
+ * @param {Object} work Result of getPendingWork()
+ * @returns {Array<string>}
+ */
+const describePendingWork = function(work) {
+  const lines = work.uploads.map(item =>
+      `${item.path}: ${item.uploading} file(s) uploading, ${item.queued} queued`);
+  work.syncs.forEach(syncKey => lines.push(`Sync ${syncKey} is running`));
+  work.transfers.forEach(transfer => lines.push(`${transfer} is running`));
+  const otherJobs = work.jobs - work.syncs.length - work.transfers.length;
+  if (otherJobs > 0) {
+      lines.push(`${otherJobs} other rclone job(s) running`);
+  }
+  return lines;
+};
+
+/**
+ * Ask what to do when quitting with pending work
+ * @returns {Promise<boolean>} Quit now
+ */
+const confirmQuit = async function() {
+  const work = await getPendingWork();
+  if (!hasPendingWork(work)) {
+      return true;
+  }
+
+  const choice = dialogs.confirmExit(describePendingWork(work).join('\n'));
+  if (choice === 'cancel') {
+      return false;
+  }
+  if (choice === 'force') {
+      logger.warn('Quitting with pending work: ' + describePendingWork(work).join('; '));
+      return true;
+  }
+  return await dialogs.quitProgress();
+};
+
+const prepareQuit = async function() {
+  logger.info('Preparing to quit...');
+  cleanupConfigWatcher();
+  if (syncScheduler) {
+      syncScheduler.stop();
+  }
+  if (statsService) {
+      statsService.stop();
+  }
+  if (mountWatchdog) {
+      mountWatchdog.stop();
+  }
+  if (vfsCache) {
+      vfsCache.stop();
+  }
+  if (serveService) {
+      await serveService.cleanup();
+  }
+  if (syncService) {
+      await syncService.cleanup();
+  }
+  if (apiService && Object.keys(Cache.mountPoints).length) {
+      // Mount states in the config stay, so the mounts are restored on next launch
+      try {
+          await apiService.makeRequest(ApiUrls.unmountAll, 'POST');
+      } catch (error) {
+          logger.error('Failed to unmount before quit:', error);
+      }
+  }
+  await stopRcloneAPI();
+  logger.info('Cleanup completed');
+}
+
+// Provider functions
+const getProvider = function(type) {
+  if (!(type in Cache.providers)) {
+    logger.error(`Provider ${type} not found`);
+    throw new Error(`Provider ${type} not found`)
+  }
+  return Cache.providers[type]
+}
+
+const getProviders = function() {
+  return Cache.providers
+}
+
+// Bookmark functions
+const getBookmark = function(id) {
+  if (!(id in Cache.bookmarks)) {
+    logger.error(`Bookmark ${id} not found`);
+    throw new Error(`Bookmark ${id} not found`)
+  }
+  return Cache.bookmarks[id]
+}
+
+const getBookmarks = function() {
+  return Cache.bookmarks
+}
+
+/**
+ * Split RcloneTray keys of a bookmark, like _rclonetray_local_path_map, from its rclone settings
+ * @private
+ */
+const splitTrayKeys = function(config) {
+  const remote = {}
+  const tray = {}
+  Object.keys(config).forEach(key => {
+    if (key.startsWith('_rclonetray_')) {
+      tray[key] = config[key]
+    } else if (key !== '$name') {
+      remote[key] = config[key]
+    }
+  })
+  return { remote, tray }
+}
+
+/**
+ * Names of the options rclone keeps obscured, like pass or client_secret
+ * @param {string} type
+ * @returns {Array<string>}
+ * @private
+ */
+const getPasswordOptionNames = function(type) {
+  const provider = Cache.providers[type]
+  return provider ? provider.Options.filter(option => option.IsPassword).map(option => option.Name) : []
+}
+
+/**
+ * Obscure a secret with rclone obscure, the secret goes through stdin
+ * @param {string} value
+ * @returns {Promise<string>}
+ * @private
+ */
+const obscureSecret = function(value) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(getRcloneBinary(), ['obscure', '-'], { timeout: 15000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || '').trim() || error.message))
+      } else {
+        resolve(stdout.trim())
+      }
+    })
+    child.stdin.end(value)
+  })
+}
+
+/**
+ * Save rclone settings of a bookmark. rcd updates remotes itself, it obscures
+ * passwords and validates values. In CLI mode passwords are obscured with rclone obscure
+ * and saved with rclone config update, which reads encrypted configs too.
+ * @param {string} name
+ * @param {string} type
+ * @param {Object} parameters Changed settings, empty value clears the setting
+ * @returns {Promise}
+ * @private
+ */
+const saveBookmarkParameters = async function(name, type, parameters) {
+  if (Cache.apiService) {
+    const response = await Cache.apiService.makeRequest(ApiUrls.configUpdate, 'POST', {
+      name,
+      parameters,
+      opt: { obscure: true, nonInteractive: true }
+    })
+    if (response && response.State) {
+      // Settings are saved by now, questions like OAuth are left for the Add Bookmark dialog
+      logger.info(`Bookmark ${name} saved, rclone has more config questions: ${response.Option ? response.Option.Name : response.State}`)
+    }
+    return
+  }
+
+  const values = { ...parameters }
+  for (const key of getPasswordOptionNames(type)) {
+    if (values[key]) {
+      values[key] = await obscureSecret(values[key])
+    }
+  }
+
+  await executeCliCommand(ApiUrls.configUpdate, {
+    name,
+    type,
+    parameters: values,
+    opt: { noObscure: true, nonInteractive: true }
+  })
 }
 
-const updateBookmark = function(name, config) {
+const updateBookmark = async function(name, config) {
   if (!(name in Cache.bookmarks)) {
     logger.error(`Bookmark ${name} not found`);
     throw new Error(`Bookmark ${name} not found`)
   }
   
-  config.$name = name
-  Cache.bookmarks[name] = config
-  
-  const rcloneConfig = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'))
-  rcloneConfig[name] = config
-  fs.writeFileSync(Cache.configFile, ini.stringify(rcloneConfig))
+  // Only changed settings are sent, unchanged passwords are obscured already
+  const current = Cache.bookmarks[name]
+  const { remote, tray } = splitTrayKeys(config)
+  const changed = {}
+  Object.keys(remote).forEach(key => {
+    const value = remote[key] === null || remote[key] === undefined ? '' : String(remote[key])
+    const currentValue = current[key] === null || current[key] === undefined ? '' : String(current[key])
+    if (key !== 'type' && value !== currentValue) {
+      changed[key] = value
+    }
+  })
+  if (Object.keys(changed).length) {
+    await saveBookmarkParameters(name, current.type, changed)
+  }
+  trayStore.setTray(name, tray)
+  await updateBookmarksCache()
   
   logger.info(`Bookmark ${name} updated`);
   UpdateCallbacksRegistry.forEach(callback => callback())
 }
 
-const deleteBookmark = function(name) {
+/**
+ * Passwords of bookmarks that are saved as plain text, e.g. by older versions
+ * @returns {Array<{name: string, keys: Array<string>}>}
+ * @private
+ */
+const findPlaintextSecrets = function() {
+  const found = []
+  Object.keys(Cache.bookmarks).forEach(name => {
+    const bookmark = Cache.bookmarks[name]
+    const keys = getPasswordOptionNames(bookmark.type).filter(key => {
+      return bookmark[key] && !RcloneObscure.isObscured(String(bookmark[key]))
+    })
+    if (keys.length) {
+      found.push({ name, keys })
+    }
+  })
+  return found
+}
+
+/**
+ * Offer to obscure plain text passwords, unless declined for them before.
+ * Called once the app is up, the offer is a modal dialog.
+ * @returns {Promise<number>} Obscured bookmarks
+ */
+const checkPlaintextSecrets = async function() {
+  const declined = settings.get('rclone_plaintext_secrets_declined') || []
+  const found = findPlaintextSecrets()
+    .map(item => ({ name: item.name, keys: item.keys.filter(key => declined.indexOf(`${item.name}.${key}`) === -1) }))
+    .filter(item => item.keys.length)
+  if (!found.length) {
+    return 0
+  }
+
+  const choice = dialogs.confirmSecretMigration(found)
+  if (choice === 'never') {
+    found.forEach(item => item.keys.forEach(key => declined.push(`${item.name}.${key}`)))
+    settings.set('rclone_plaintext_secrets_declined', declined)
+    return 0
+  }
+  if (choice !== 'migrate') {
+    return 0
+  }
+
+  let migrated = 0
+  for (const item of found) {
+    const bookmark = Cache.bookmarks[item.name]
+    const parameters = {}
+    item.keys.forEach(key => {
+      parameters[key] = String(bookmark[key])
+    })
+    try {
+      await saveBookmarkParameters(item.name, bookmark.type, parameters)
+      migrated++
+    } catch (error) {
+      logger.error(`Failed to obscure passwords of ${item.name}:`, error)
+      dialogs.notification(`Failed to obscure passwords of ${item.name}: ${error.message}`)
+    }
+  }
+
+  await updateBookmarksCache()
+  logger.info(`Obscured plain text passwords of ${migrated} bookmark(s)`)
+  UpdateCallbacksRegistry.forEach(callback => callback())
+  return migrated
+}
+
+const deleteBookmark = async function(name) {
   if (!(name in Cache.bookmarks)) {
     logger.error(`Bookmark ${name} not found`);
     throw new Error(`Bookmark ${name} not found`)
   }
   
+  if (serveService) {
+    serveService.stopBookmarkServes({ $name: name })
+  }
+
+  // Through rclone, it can change encrypted configs too
+  await makeRcloneRequest('POST', ApiUrls.configDelete, { name })
+  trayStore.deleteRemote(name)
   delete Cache.bookmarks[name]
   
-  const rcloneConfig = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'))
-  delete rcloneConfig[name]
-  fs.writeFileSync(Cache.configFile, ini.stringify(rcloneConfig))
-  
   logger.info(`Bookmark ${name} deleted`);
   UpdateCallbacksRegistry.forEach(callback => callback())
 }
 
+/**
+ * Start creating a bookmark through rclone's config state machine, OAuth included
+ * @param {string} type
+ * @param {string} name
+ * @param {Object} options Options filled in the form, RcloneTray keys included
+ * @returns {Promise<{done: boolean, state: string, option: Object|null, error: string}>} Next question, if any
+ */
+const startBookmarkCreation = async function(type, name, options) {
+  // Same rule as rclone has for remote names
+  if (!name || !/^[\w.+@][\w.+@ -]*$/.test(name) || name.endsWith(' ')) {
+    throw new Error('Invalid bookmark name, use letters, numbers, spaces and . + @ - _')
+  }
+  if (name in Cache.bookmarks || configFlows.has(name)) {
+    throw new Error(`Bookmark ${name} already exists`)
+  }
+
+  const { remote, tray } = splitTrayKeys(options || {})
+  Object.keys(remote).forEach(key => {
+    if (remote[key] === '') {
+      delete remote[key]
+    }
+  })
+
+  const flow = new RcloneConfigFlow({
+    request: (endpoint, params) => makeRcloneRequest('POST', endpoint, params),
+    getRcloneBinary,
+    openUrl: url => shell.openExternal(url),
+    getAuthorizeArgs: () => getConfigPasswordArgs(),
+    getEnv: getRcloneEnv
+  })
+  flow.tray = tray
+  configFlows.set(name, flow)
+
+  logger.info(`Creating bookmark ${name} of type ${type}`)
+  try {
+    return await finishBookmarkStep(name, await flow.start(name, type, remote))
+  } catch (error) {
+    await cancelBookmarkCreation(name)
+    throw error
+  }
+}
+
+/**
+ * Answer the question of a bookmark creation
+ * @param {string} name
+ * @param {string} state State of the question
+ * @param {string} result
+ * @returns {Promise<{done: boolean, state: string, option: Object|null, error: string}>} Next question, if any
+ */
+const continueBookmarkCreation = async function(name, state, result) {
+  const flow = configFlows.get(name)
+  if (!flow) {
+    throw new Error(`Creation of bookmark ${name} has not started`)
+  }
+  return finishBookmarkStep(name, await flow.answer(state, result))
+}
+
+/**
+ * Stop a bookmark creation and remove what rclone created so far
+ * @param {string} name
+ * @returns {Promise}
+ */
+const cancelBookmarkCreation = async function(name) {
+  const flow = configFlows.get(name)
+  if (!flow) {
+    return
+  }
+  configFlows.delete(name)
+  flow.cancel()
+  try {
+    await makeRcloneRequest('POST', ApiUrls.configDelete, { name })
+  } catch (error) {
+    logger.warn(`Failed to remove unfinished bookmark ${name}:`, error.message)
+  }
+  logger.info(`Creation of bookmark ${name} cancelled`)
+}
+
+/**
+ * Save the RcloneTray part once rclone has no more questions
+ * @private
+ */
+const finishBookmarkStep = async function(name, step) {
+  if (!step.done) {
+    return step
+  }
+
+  const flow = configFlows.get(name)
+  configFlows.delete(name)
+  if (flow && Object.keys(flow.tray).length) {
+    trayStore.setTray(name, flow.tray)
+  }
+  await updateBookmarksCache()
+
+  logger.info(`Bookmark ${name} added`)
+  UpdateCallbacksRegistry.forEach(callback => callback())
+  return step
+}
+
 const getVersion = function() {
   return Cache.version
 }
 
+const getConfigFile = function() {
+  return Cache.configFile
+}
+
 const onUpdate = function(callback) {
   UpdateCallbacksRegistry.push(callback)
 }
 
 /**
- * Форматирование ключа для кеша точек монтирования
+ * Форматирование ключа для кеша точек монтирования
+ */
+const getMountCacheKey = function(bookmarkName, mountName = 'default') {
+  return `${bookmarkName}@@${mountName}`;
+};
+
+/**
+ * Folder for mount points without own local path, from preferences
+ * @returns {string}
+ */
+const getMountRoot = function() {
+  const root = (settings.get('rclone_mount_root') || '').trim();
+  if (!root) {
+      return path.join(app.getPath('home'), 'Cloud');
+  }
+  return path.resolve(root.replace(/^~(?=$|[\\/])/, app.getPath('home')));
+};
+
+/**
+ * Получить путь монтирования
+ * Only computes the path, mount() creates the folders: a hung mount in the mount root
+ * would freeze the app on any file system call.
+ */
+const getMountPath = function(bookmark, mountName = 'default') {
+  const config = getMountConfig(bookmark, mountName);
+  if (config.path) {
+      return config.path;
+  }
+  
+  // Каталог из настроек, временный каталог чистят программы очистки
+  const mountDir = getMountRoot();
+  return mountName === 'default' ? 
+      path.join(mountDir, bookmark.$name) :
+      path.join(mountDir, `${bookmark.$name}@@${mountName}`);
+};
+
+/**
+* Получить статус монтирования
+*/
+const getMountStatus = function(bookmark, mountName = 'default') {
+  const mountPointKey = getMountCacheKey(bookmark.$name, mountName);
+  if (Cache.mountPoints[mountPointKey]) {
+      return Cache.mountPoints[mountPointKey].path;
+  }
+  return false;
+};
+
+/**
+ * Обновление кеша точек монтирования
+ */
+const updateMountPointsCache = async function() {
+  try {
+      const response = await Cache.apiService.listMounts();
+      
+      // Очищаем текущий кеш
+      Cache.mountPoints = {};
+      
+      // Обновляем кеш монтирований
+      if (response && response.mountPoints) {
+          Object.entries(response.mountPoints).forEach(([mountPoint, remoteInfo]) => {
+              const remotePath = remoteInfo.fs;
+              const parts = remotePath.split(':');
+              const remoteName = parts[0];
+              
+              // Проверяем путь монтирования на наличие маркера дополнительной точки
+              const mountPathParts = mountPoint.split(path.sep);
+              const lastPart = mountPathParts[mountPathParts.length - 1];
+              
+              let bookmarkName, mountName;
+              if (lastPart.includes('@@')) {
+                  [bookmarkName, mountName] = lastPart.split('@@');
+              } else {
+                  bookmarkName = remoteName;
+                  mountName = 'default';
+              }
+              
+              const cacheKey = getMountCacheKey(bookmarkName, mountName);
+              Cache.mountPoints[cacheKey] = {
+                  path: mountPoint,
+                  remote: remotePath
+              };
+          });
+      }
+      
+      logger.debug('Updated mount points cache:', Cache.mountPoints);
+  } catch (error) {
+      logger.error('Failed to update mount points cache:', error);
+  }
+};
+
+/**
+ * Mount again a mount point the watchdog found dead. The cache entry stays
+ * on failure, so the watchdog keeps retrying.
+ * @param {string} cacheKey
+ * @returns {Promise<boolean>}
+ */
+const remountLost = async function(cacheKey) {
+  const entry = Cache.mountPoints[cacheKey];
+  const [bookmarkName, mountName] = cacheKey.split('@@');
+  const bookmark = Cache.bookmarks[bookmarkName];
+  if (!entry || !bookmark) {
+      return false;
+  }
+
+  const mounted = await mount(bookmark, mountName, true);
+  if (!mounted && !Cache.mountPoints[cacheKey]) {
+      Cache.mountPoints[cacheKey] = entry;
+  }
+  return mounted;
+};
+
+/**
+ * Get state of a mount the watchdog found dead
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @returns {{since: number, error: string, attempts: number, nextRetry: number}|null} null when healthy
+ */
+const getMountHealth = function(bookmark, mountName = 'default') {
+  return mountWatchdog ? mountWatchdog.getLostState(getMountCacheKey(bookmark.$name, mountName)) : null;
+};
+
+/**
+ * Check a local mount path is not used by another mount point, without touching the path
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @param {string} target Resolved path
+ * @returns {{id: string, title: string, ok: boolean, message: string, fix: string}}
+ * @private
+ */
+const checkMountPathConflict = function(bookmark, mountName, target) {
+  const selfKey = getMountCacheKey(bookmark.$name, mountName);
+  const title = `Mount directory ${target}`;
+
+  // Nested mounts hide each other, so they conflict as well
+  const other = getAllMountPoints()
+      .filter(point => getMountCacheKey(point.bookmark.$name, point.mountName) !== selfKey)
+      .map(point => ({ label: point.label, path: path.resolve(getMountPath(point.bookmark, point.mountName)) }))
+      .find(point => point.path === target ||
+          point.path.startsWith(target + path.sep) ||
+          target.startsWith(point.path + path.sep));
+
+  return other ? {
+      id: 'mount-conflict',
+      title,
+      ok: false,
+      message: other.path === target
+          ? `Is also the mount path of ${other.label}`
+          : `Overlaps with ${other.path} of ${other.label}`,
+      fix: 'Choose another local mount path for one of them.'
+  } : {
+      id: 'mount-conflict',
+      title,
+      ok: true,
+      message: 'Not used by other mount points',
+      fix: ''
+  };
+};
+
+/**
+ * Check a local mount path before mounting or saving it: not used by another
+ * mount point, not mounted already, empty and writable. The directory is checked
+ * in a child process, a hung mount there would freeze the app.
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @param {string} [mountPath] Path to check instead of the configured one
+ * @returns {Promise<Array<{id: string, title: string, ok: boolean, message: string, fix: string}>>}
+ */
+const checkMountPath = async function(bookmark, mountName = 'default', mountPath = null) {
+  const target = path.resolve(mountPath || getMountPath(bookmark, mountName));
+  const checks = [checkMountPathConflict(bookmark, mountName, target)];
+
+  const mounted = getMountStatus(bookmark, mountName);
+  if (mounted && path.resolve(mounted) === target) {
+      checks.push({ id: 'mount-dir', title: `Mount directory ${target}`, ok: true, message: 'Mounted', fix: '' });
+  } else {
+      checks.push(await RcloneFuseDiagnostics.probeMountDirectory(target));
+  }
+  return checks;
+};
+
+/**
+ * Save local mount path of a mount point
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @param {string} mountPath Empty for a folder in the mount root
+ * @returns {boolean} The mount point is mounted and needs remount to apply
+ */
+const saveMountPath = function(bookmark, mountName, mountPath) {
+  const value = (mountPath || '').trim();
+  const conflict = checkMountPathConflict(bookmark, mountName, path.resolve(value || getMountPath(bookmark, mountName)));
+  if (!conflict.ok) {
+      throw new Error(`${conflict.message}. ${conflict.fix}`);
+  }
+
+  const config = getMountConfig(bookmark, mountName);
+  const previous = getMountPath(bookmark, mountName);
+  config.path = value;
+  saveMountConfig(bookmark, config, mountName);
+  UpdateCallbacksRegistry.forEach(callback => callback());
+  return !!getMountStatus(bookmark, mountName) && path.resolve(previous) !== path.resolve(getMountPath(bookmark, mountName));
+};
+
+/**
+ * Remove mount directory after unmount when it is empty, so no dead
+ * folders pile up in the mount root. Folders with files stay.
+ * @param {string} mountPoint
+ * @private
+ */
+const removeMountDirectory = async function(mountPoint) {
+  try {
+      if (!RcloneFuseDiagnostics.isMountPoint(mountPoint) && !(await fs.promises.readdir(mountPoint)).length) {
+          await fs.promises.rmdir(mountPoint);
+      }
+  } catch (error) {
+      logger.debug(`Mount directory ${mountPoint} stays: ${error.message}`);
+  }
+};
+
+/**
+ * Run FUSE and mount directory checks for every mount point, for the Diagnostics dialog
+ * @returns {Promise<Array<{label: string, checks: Array}>>}
+ */
+const runMountDiagnostics = async function() {
+  const sections = [];
+  const system = await RcloneFuseDiagnostics.runChecks({
+      allowOther: getAllMountPoints().some(point => point.config.options['--allow-other'] === 'true')
+  });
+  if (system.length) {
+      sections.push({ label: 'FUSE', checks: system });
+  }
+
+  // One after another, each check is a child process
+  for (const point of getAllMountPoints()) {
+      sections.push({
+          label: point.label,
+          checks: await checkMountPath(point.bookmark, point.mountName)
+      });
+  }
+
+  return sections;
+};
+
+/**
+ * Mount paths of all mount points, the mount root and the temp folder used before it
+ * @returns {Array<string>}
+ * @private
+ */
+const getKnownMountPaths = function() {
+  return [getMountRoot(), path.join(app.getPath('temp'), 'rclonetray-mounts')]
+      .concat(getAllMountPoints().map(point => getMountPath(point.bookmark, point.mountName)));
+};
+
+/**
+ * Mount points of all bookmarks
+ * @returns {Array<{bookmark: Object, mountName: string, label: string, config: Object}>}
+ * @private
+ */
+const getAllMountPoints = function() {
+  const mountPoints = [];
+  Object.values(Cache.bookmarks).forEach(bookmark => {
+      getMountOptionSets(bookmark).forEach(set => mountPoints.push({
+          bookmark,
+          mountName: set.id,
+          label: `${bookmark.$name}${set.id !== 'default' ? ` (${set.id})` : ''}`,
+          config: set.config
+      }));
+  });
+  return mountPoints;
+};
+
+/**
+ * Named mount groups with their mount points, across bookmarks
+ * @returns {Object<string, Array<{bookmark: Object, mountName: string, label: string, mounted: boolean}>>}
+ */
+const getMountGroups = function() {
+  const groups = {};
+  getAllMountPoints()
+      .filter(point => point.config.group)
+      .forEach(point => {
+          if (!groups[point.config.group]) {
+              groups[point.config.group] = [];
+          }
+          groups[point.config.group].push({
+              bookmark: point.bookmark,
+              mountName: point.mountName,
+              label: point.label,
+              mounted: !!getMountStatus(point.bookmark, point.mountName)
+          });
+      });
+  return groups;
+};
+
+/**
+ * Mount several points one by one and report the result in one notification
+ * @param {string} title Shown in the summary, e.g. the group name
+ * @param {Array} points Items with bookmark, mountName and label
+ * @returns {Promise<{mounted: number, failed: Array<string>}>}
+ * @private
+ */
+const mountSeveral = async function(title, points) {
+  const result = { mounted: 0, failed: [] };
+  for (const point of points) {
+      if (getMountStatus(point.bookmark, point.mountName) || await mount(point.bookmark, point.mountName, true)) {
+          result.mounted++;
+      } else {
+          const error = Cache.mountErrors[getMountCacheKey(point.bookmark.$name, point.mountName)] || 'failed to mount';
+          result.failed.push(`${point.label}: ${error}`);
+      }
+  }
+
+  if (result.failed.length) {
+      dialogs.notification(`${title}: mounted ${result.mounted} of ${points.length}. Failed: ${result.failed.join('; ')}`);
+  } else if (points.length) {
+      dialogs.notification(`${title}: mounted ${points.length} mount point(s)`);
+  }
+  UpdateCallbacksRegistry.forEach(callback => callback());
+  return result;
+};
+
+/**
+ * Mount all points of a group
+ * @param {string} group
+ */
+const mountGroup = async function(group) {
+  return await mountSeveral(group, getMountGroups()[group] || []);
+};
+
+/**
+ * Unmount all points of a group, one by one
+ * @param {string} group
+ */
+const unmountGroup = async function(group) {
+  const points = (getMountGroups()[group] || []).filter(point => point.mounted);
+  const failed = [];
+  for (const point of points) {
+      if (!await unmount(point.bookmark, point.mountName)) {
+          failed.push(point.label);
+      }
+  }
+  if (failed.length) {
+      dialogs.notification(`${group}: unmounted ${points.length - failed.length} of ${points.length}. Still mounted: ${failed.join(', ')}`);
+  }
+  UpdateCallbacksRegistry.forEach(callback => callback());
+};
+
+/**
+ * Mount every point that has automount enabled and is not mounted
+ */
+const mountAllEnabled = async function() {
+  return await mountSeveral('Mount all', getAllMountPoints().filter(point => point.config.enabled));
+};
+
+/**
+ * Unmount everything at once. Mount states in the config stay, so
+ * "Mount all enabled" and the next launch bring the mounts back.
+ * @returns {Promise<boolean>}
+ */
+const unmountAll = async function() {
+  const entries = Object.keys(Cache.mountPoints);
+  if (!apiService || !entries.length) {
+      return true;
+  }
+
+  const pending = { uploading: 0, queued: 0 };
+  const pendingPaths = [];
+  if (vfsCache) {
+      for (const cacheKey of entries) {
+          const uploads = await getPendingUploads(Cache.mountPoints[cacheKey]);
+          if (uploads) {
+              pending.uploading += uploads.uploading;
+              pending.queued += uploads.queued;
+              pendingPaths.push(Cache.mountPoints[cacheKey].path);
+          }
+      }
+  }
+  if (pendingPaths.length) {
+      const choice = dialogs.confirmUnmount(pendingPaths.join(', '), pending);
+      if (choice === 'cancel') {
+          return false;
+      }
+      if (choice === 'wait') {
+          dialogs.notification(`Unmounting all after ${pending.uploading + pending.queued} file(s) are uploaded`);
+          for (const cacheKey of entries) {
+              if (Cache.mountPoints[cacheKey]) {
+                  await waitForUploads(Cache.mountPoints[cacheKey]);
+              }
+          }
+      }
+  }
+
+  try {
+      await apiService.makeRequest(ApiUrls.unmountAll, 'POST');
+  } catch (error) {
+      logger.error('Unmount all failed:', error);
+      dialogs.notification(`Failed to unmount all: ${error.message}`);
+      await updateMountPointsCache();
+      UpdateCallbacksRegistry.forEach(callback => callback());
+      return false;
+  }
+
+  for (const cacheKey of Object.keys(Cache.mountPoints)) {
+      const [bookmarkName, mountName] = cacheKey.split('@@');
+      if (statsService) {
+          statsService.deleteGroup(RcloneStatsService.getGroupName('mount', bookmarkName, mountName));
+      }
+      const mountPoint = Cache.mountPoints[cacheKey].path;
+      delete Cache.mountPoints[cacheKey];
+      await removeMountDirectory(mountPoint);
+  }
+
+  // Some mounts may have refused, e.g. busy on Windows, show what is left
+  await updateMountPointsCache();
+  const left = Object.values(Cache.mountPoints).map(entry => entry.path);
+  dialogs.notification(left.length
+      ? `Unmounted ${entries.length - left.length} of ${entries.length}. Still mounted: ${left.join(', ')}`
+      : `Unmounted ${entries.length} mount point(s)`);
+  UpdateCallbacksRegistry.forEach(callback => callback());
+  return left.length === 0;
+};
+
+/**
+ * Last polled VFS cache status of a mounted point
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @returns {Object|null} null when not mounted or not polled yet
  */
-const getMountCacheKey = function(bookmarkName, mountName = 'default') {
-  return `${bookmarkName}@@${mountName}`;
+const getMountCacheStatus = function(bookmark, mountName = 'default') {
+  return vfsCache ? vfsCache.getCachedStatus(getMountCacheKey(bookmark.$name, mountName)) : null;
 };
 
 /**
- * Получить путь монтирования
+ * @private
  */
-const getMountPath = function(bookmark, mountName = 'default') {
-  const config = getMountConfig(bookmark, mountName);
-  if (config.path) {
-      return config.path;
+const getMountedEntry = function(bookmark, mountName) {
+  const entry = Cache.mountPoints[getMountCacheKey(bookmark.$name, mountName)];
+  if (!vfsCache || !entry) {
+      throw new Error(`${bookmark.$name}${mountName !== 'default' ? ` (${mountName})` : ''} is not mounted`);
   }
-  
-  // Используем системный временный каталог
-  const mountDir = path.join(app.getPath('temp'), 'rclonetray-mounts');
-  if (!fs.existsSync(mountDir)) {
-      fs.mkdirSync(mountDir, { recursive: true });
+  return entry;
+};
+
+/**
+ * Re-read directory listings of a mount point from the remote
+ * @param {Object} bookmark
+ * @param {string} mountName
+ */
+const refreshMountCache = async function(bookmark, mountName = 'default') {
+  const entry = getMountedEntry(bookmark, mountName);
+  try {
+      await vfsCache.refresh(entry.remote);
+      dialogs.notification(`Directory cache of ${entry.path} refreshed`);
+  } catch (error) {
+      logger.error(`Failed to refresh directory cache of ${entry.path}:`, error);
+      dialogs.notification(`Failed to refresh directory cache of ${entry.path}: ${error.message}`);
   }
-  
-  return mountName === 'default' ? 
-      path.join(mountDir, bookmark.$name) :
-      path.join(mountDir, `${bookmark.$name}@@${mountName}`);
 };
 
 /**
-* Получить статус монтирования
-*/
-const getMountStatus = function(bookmark, mountName = 'default') {
-  const mountPointKey = getMountCacheKey(bookmark.$name, mountName);
-  if (Cache.mountPoints[mountPointKey]) {
-      return Cache.mountPoints[mountPointKey].path;
+ * Drop cached directory listings of a mount point
+ * @param {Object} bookmark
+ * @param {string} mountName
+ */
+const forgetMountCache = async function(bookmark, mountName = 'default') {
+  const entry = getMountedEntry(bookmark, mountName);
+  try {
+      const forgotten = await vfsCache.forget(entry.remote);
+      dialogs.notification(`Forgot ${forgotten.length} cached listing entries of ${entry.path}`);
+  } catch (error) {
+      logger.error(`Failed to forget cached listing of ${entry.path}:`, error);
+      dialogs.notification(`Failed to forget cached listing of ${entry.path}: ${error.message}`);
   }
-  return false;
 };
 
 /**
- * Обновление кеша точек монтирования
+ * Delete cached files of a mount point. rc has no call for it, so the point
+ * is unmounted, the cache directories removed and the point mounted again.
+ * @param {Object} bookmark
+ * @param {string} mountName
+ * @returns {Promise<boolean>} Cleared
  */
-const updateMountPointsCache = async function() {
+const clearMountCache = async function(bookmark, mountName = 'default') {
+  const entry = getMountedEntry(bookmark, mountName);
   try {
-      const response = await Cache.apiService.listMounts();
-      
-      // Очищаем текущий кеш
-      Cache.mountPoints = {};
-      
-      // Обновляем кеш монтирований
-      if (response && response.mountPoints) {
-          Object.entries(response.mountPoints).forEach(([mountPoint, remoteInfo]) => {
-              const remotePath = remoteInfo.fs;
-              const parts = remotePath.split(':');
-              const remoteName = parts[0];
-              
-              // Проверяем путь монтирования на наличие маркера дополнительной точки
-              const mountPathParts = mountPoint.split(path.sep);
-              const lastPart = mountPathParts[mountPathParts.length - 1];
-              
-              let bookmarkName, mountName;
-              if (lastPart.includes('@@')) {
-                  [bookmarkName, mountName] = lastPart.split('@@');
-              } else {
-                  bookmarkName = remoteName;
-                  mountName = 'default';
-              }
-              
-              const cacheKey = getMountCacheKey(bookmarkName, mountName);
-              Cache.mountPoints[cacheKey] = {
-                  path: mountPoint,
-                  remote: remotePath
-              };
-          });
+      const status = await vfsCache.getStatus(entry.remote);
+      if (!status.diskCache) {
+          dialogs.notification(`${entry.path} has no file cache, cache mode is ${status.cacheMode || 'off'}`);
+          return false;
       }
-      
-      logger.debug('Updated mount points cache:', Cache.mountPoints);
+      const pending = status.uploadsInProgress + status.uploadsQueued;
+      if (pending > 0) {
+          throw new Error(`${pending} file(s) are still waiting to upload`);
+      }
+      const cacheKey = getMountCacheKey(bookmark.$name, mountName);
+      const shared = Object.keys(Cache.mountPoints)
+          .find(key => key !== cacheKey && Cache.mountPoints[key].remote === entry.remote);
+      if (shared) {
+          throw new Error(`the cache is shared with ${Cache.mountPoints[shared].path}`);
+      }
+      if (!dialogs.confirmClearCache(entry.path, RcloneStatsService.formatBytes(status.bytesUsed))) {
+          return false;
+      }
+
+      if (!await unmount(bookmark, mountName)) {
+          throw new Error('unmount failed');
+      }
+      try {
+          await vfsCache.removeCacheDirs([status.path, status.metaPath]);
+          logger.info(`Cleared VFS cache of ${entry.path}`);
+      } finally {
+          // Mounted again whether the cache is gone or not
+          await mount(bookmark, mountName);
+      }
+      return true;
   } catch (error) {
-      logger.error('Failed to update mount points cache:', error);
+      logger.error(`Failed to clear cache of ${entry.path}:`, error);
+      dialogs.notification(`Failed to clear cache of ${entry.path}: ${error.message}`);
+      return false;
+  }
+};
+
+/**
+ * Files of a mount waiting in the VFS write cache
+ * @param {Object} entry Mount cache entry
+ * @returns {Promise<{uploading: number, queued: number}|null>} null when nothing is pending
+ * @private
+ */
+const getPendingUploads = async function(entry) {
+  try {
+      const status = await vfsCache.getStatus(entry.remote);
+      if (status.diskCache && status.uploadsInProgress + status.uploadsQueued > 0) {
+          return { uploading: status.uploadsInProgress, queued: status.uploadsQueued };
+      }
+  } catch (error) {
+      // Lost mount, nothing can be uploaded from it anymore
+  }
+  return null;
+};
+
+/**
+ * Wait until the write cache of a mount is uploaded
+ * @param {Object} entry Mount cache entry
+ * @private
+ */
+const waitForUploads = async function(entry) {
+  while (Object.values(Cache.mountPoints).indexOf(entry) > -1 && await getPendingUploads(entry)) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
   }
 };
 
 /**
 * Отмонтировать удаленную папку
+* @param {boolean} force Не ждать загрузки файлов из кеша записи
 */
-const unmount = async function(bookmark, mountName = 'default') {
+const unmount = async function(bookmark, mountName = 'default', force = false) {
   try {
       const cacheKey = getMountCacheKey(bookmark.$name, mountName);
       
@@ -856,6 +2352,25 @@ const unmount = async function(bookmark, mountName = 'default') {
           return true;
       }
 
+      // Unmounting drops files that are not uploaded yet
+      const pending = !force && vfsCache ? await getPendingUploads(Cache.mountPoints[cacheKey]) : null;
+      if (pending) {
+          const choice = dialogs.confirmUnmount(Cache.mountPoints[cacheKey].path, pending);
+          if (choice === 'cancel') {
+              return false;
+          }
+          if (choice === 'wait') {
+              const entry = Cache.mountPoints[cacheKey];
+              dialogs.notification(`Unmounting ${entry.path} after ${pending.uploading + pending.queued} file(s) are uploaded`);
+              await waitForUploads(entry);
+              if (Cache.mountPoints[cacheKey] !== entry) {
+                  return true;
+              }
+          } else {
+              logger.warn(`Unmounting ${Cache.mountPoints[cacheKey].path} with ${pending.uploading + pending.queued} file(s) not uploaded`);
+          }
+      }
+
       const mountPoint = Cache.mountPoints[cacheKey].path;
       logger.info('Unmounting', mountPoint);
       dialogs.notification(`Successfully unmounted ${bookmark.$name}${mountName !== 'default' ? ` (${mountName})` : ''}`);
@@ -863,6 +2378,10 @@ const unmount = async function(bookmark, mountName = 'default') {
       await Cache.apiService.unmount(mountPoint);
       
       delete Cache.mountPoints[cacheKey];
+      await removeMountDirectory(mountPoint);
+      if (statsService) {
+          statsService.deleteGroup(RcloneStatsService.getGroupName('mount', bookmark.$name, mountName));
+      }
 
       // Сохраняем состояние в конфиг
       const config = getMountConfig(bookmark, mountName);
@@ -906,36 +2425,34 @@ const DEFAULT_SYNC_OPTIONS = {
   _rclonetray_sync_initialized: 'false',
   transfers: '2',
   checkers: '4',
-  'max-delete': '100'
+  'max-delete': '100',
+  unattendedDeletes: '10',  // Deletes a scheduled or startup run may do without confirmation
+  schedule: 'manual',       // manual, startup, interval or cron
+  scheduleInterval: '60',   // Minutes, for interval schedule
+  scheduleCron: '',         // Cron expressions or times like "09:00, 18:30"
+  conflictResolve: 'newer', // Bisync --conflict-resolve, see RcloneSyncConflicts.ConflictPolicies
+  conflictLoser: 'num',     // Keep the losing copy renamed (num) or delete it
+  startDelay: '0',          // Seconds after launch before the startup run
+  dependsOn: ''             // Startup point ids to wait for, comma separated, see getStartupPoints()
 };
 
 /**
 * Получить все точки синхронизации для закладки
 */
 const getSyncOptionSets = function(bookmark) {
-  const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
   const optionSets = [];
   const bookmarkName = bookmark.$name;
 
   console.log('Looking for sync configs for bookmark:', bookmarkName);
 
-  // Ищем все секции конфигурации
-  Object.keys(config).forEach(section => {
-      // Проверяем, что это секция синхронизации для данной закладки
-      if (section === `${bookmarkName}.sync_sync1` || 
-          section.startsWith(`${bookmarkName}.sync_`)) {
-          
-          const syncName = section.split(`${bookmarkName}.sync_`)[1];
-          // console.log('Found sync section:', section, 'with name:', syncName);
-          
-          const syncConfig = getSyncConfig(bookmark, syncName);
-          if (syncConfig) {
-              optionSets.push({
-                  name: `Sync ${syncName}`,
-                  id: syncName,
-                  config: syncConfig
-              });
-          }
+  trayStore.listSyncs(bookmarkName).forEach(syncName => {
+      const syncConfig = getSyncConfig(bookmark, syncName);
+      if (syncConfig) {
+          optionSets.push({
+              name: `Sync ${syncName}`,
+              id: syncName,
+              config: syncConfig
+          });
       }
   });
 
@@ -984,8 +2501,11 @@ const getSyncOptionSets = function(bookmark) {
 
 /**
 * Монтировать удаленную папку
+* @param {Object} bookmark
+* @param {string} mountName
+* @param {boolean} silent Don't show error box, for automatic remounts
 */
-const mount = async function(bookmark, mountName = 'default') {
+const mount = async function(bookmark, mountName = 'default', silent = false) {
   try {
       const config = getMountConfig(bookmark, mountName);
       const mountPoint = getMountPath(bookmark, mountName);
@@ -1003,21 +2523,21 @@ const mount = async function(bookmark, mountName = 'default') {
           delete Cache.mountPoints[cacheKey];
       }
 
-      // 2. Проверяем существование директории
+      // 2. Предварительная проверка FUSE и каталога монтирования
+      const checks = (await RcloneFuseDiagnostics.runChecks({
+          allowOther: config.options['--allow-other'] === 'true'
+      })).concat(await checkMountPath(bookmark, mountName, mountPoint));
+      if (checks.some(check => !check.ok)) {
+          throw new Error(`Preflight check failed.\n${RcloneFuseDiagnostics.describeFailures(checks)}`);
+      }
+
+      // 3. Создаем каталог, если его нет, вместе с корнем точек монтирования
       try {
           await fs.promises.access(mountPoint);
       } catch (err) {
-          // Директория не существует - создаем
           await fs.promises.mkdir(mountPoint, { recursive: true });
       }
 
-      // 3. Проверяем, что директория пуста
-      const files = await fs.promises.readdir(mountPoint);
-      if (files.length > 0) {
-          console.warn('Mount point not empty:', mountPoint);
-          // Можно добавить очистку, если нужно
-      }
-
       // 4. Формируем remote path
       const remoteName = bookmark.$name + ':';
       const remotePath = config.remotePath ? 
@@ -1025,14 +2545,18 @@ const mount = async function(bookmark, mountName = 'default') {
           remoteName;
 
       // 5. Готовим параметры монтирования
+      const rcOptions = RcloneMountOptions.toRcParams(config.options);
+      if (rcOptions.ignored.length) {
+          logger.warn(`Ignoring unsupported mount options of ${bookmark.$name}: ${rcOptions.ignored.join(', ')}`);
+      }
       const mountParams = {
           fs: remotePath,
           mountPoint: mountPoint,
-          mountOpt: {
-              ...config.options,
-              '--daemon': false,    // Важно: запускаем в foreground
-              '--allow-other': true // Разрешаем доступ другим пользователям
-          }
+          mountOpt: rcOptions.mountOpt,
+          vfsOpt: rcOptions.vfsOpt,
+          config: rcOptions.config,
+          filter: RcloneFilters.toRcFilter(config.filters),
+          group: RcloneStatsService.getGroupName('mount', bookmark.$name, mountName)
       };
 
       console.log('Mounting with params:', JSON.stringify(mountParams, null, 2));
@@ -1071,13 +2595,15 @@ const mount = async function(bookmark, mountName = 'default') {
                   Cache.mountPoints[cacheKey] = {
                       path: mountPoint,
                       remote: remotePath,
-                      options: mountParams.mountOpt
+                      options: config.options
                   };
 
                   // 8. Сохраняем состояние
                   config.enabled = true;
                   saveMountConfig(bookmark, config, mountName);
 
+                  delete Cache.mountErrors[cacheKey];
+
                   // 9. Уведомляем об изменениях
                   UpdateCallbacksRegistry.forEach(callback => callback());
 
@@ -1098,7 +2624,10 @@ const mount = async function(bookmark, mountName = 'default') {
 
   } catch (error) {
       console.error('Mount error:', error);
-      dialogs.rcloneAPIError(`Failed to mount ${bookmark.$name}: ${error.message}`);
+      Cache.mountErrors[getMountCacheKey(bookmark.$name, mountName)] = error.message;
+      if (!silent) {
+          dialogs.rcloneAPIError(`Failed to mount ${bookmark.$name}: ${error.message}`);
+      }
       return false;
   }
 };
@@ -1115,19 +2644,12 @@ const createMountConfig = async function(bookmark, configName) {
 
 // Удаление конфигурации монтирования
 const deleteMountConfig = async function(bookmark, configName) {
-  const rcloneConfig = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'))
-  const optionsKey = `${bookmark.$name}.${configName}`
-  
   // Проверяем, не примонтирована ли эта конфигурация
-  if (Cache.mountPoints[`${bookmark.$name}_${configName}`]) {
+  if (Cache.mountPoints[getMountCacheKey(bookmark.$name, configName)]) {
       throw new Error('Cannot delete mounted configuration')
   }
   
-  // Удаляем секцию из конфига
-  delete rcloneConfig[optionsKey]
-  
-  // Сохраняем конфиг
-  fs.writeFileSync(Cache.configFile, ini.stringify(rcloneConfig))
+  trayStore.deleteMount(bookmark.$name, configName)
   
   // Обновляем кэш
   UpdateCallbacksRegistry.forEach(callback => callback())
@@ -1175,29 +2697,37 @@ Cache.syncPoints = new Map();
  */
 const getSyncConfig = function(bookmark, syncName) {
   try {
-      const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
-      const sectionKey = `${bookmark.$name}.sync_${syncName}`;
+      const section = trayStore.getSync(bookmark.$name, syncName);
       
-      console.log('Getting sync config for section:', sectionKey);
+      console.log('Getting sync config for:', bookmark.$name, syncName);
 
-      // Если секции нет в конфиге, возвращаем null
-      if (!config[sectionKey]) {
-          console.log('Sync config section not found:', sectionKey);
+      // Если точки нет, возвращаем null
+      if (!section) {
+          console.log('Sync config not found:', bookmark.$name, syncName);
           return null;
       }
 
       // Считываем значения из конфига с fallback на значения по умолчанию
       const syncConfig = {
           name: syncName,
-          enabled: config[sectionKey]._rclonetray_sync_enabled === 'true',
-          localPath: config[sectionKey]._rclonetray_sync_local_path || DEFAULT_SYNC_OPTIONS.localPath,
-          remotePath: config[sectionKey]._rclonetray_sync_remote_path || DEFAULT_SYNC_OPTIONS.remotePath,
-          mode: config[sectionKey]._rclonetray_sync_mode || DEFAULT_SYNC_OPTIONS.mode,
-          direction: config[sectionKey]._rclonetray_sync_direction || DEFAULT_SYNC_OPTIONS.direction,
-          _rclonetray_sync_initialized: config[sectionKey]._rclonetray_sync_initialized || DEFAULT_SYNC_OPTIONS._rclonetray_sync_initialized,
-          transfers: config[sectionKey]._rclonetray_sync_transfers || DEFAULT_SYNC_OPTIONS.transfers,
-          checkers: config[sectionKey]._rclonetray_sync_checkers || DEFAULT_SYNC_OPTIONS.checkers,
-          'max-delete': config[sectionKey]._rclonetray_sync_max_delete || DEFAULT_SYNC_OPTIONS['max-delete']
+          enabled: section._rclonetray_sync_enabled === 'true',
+          localPath: section._rclonetray_sync_local_path || DEFAULT_SYNC_OPTIONS.localPath,
+          remotePath: section._rclonetray_sync_remote_path || DEFAULT_SYNC_OPTIONS.remotePath,
+          mode: section._rclonetray_sync_mode || DEFAULT_SYNC_OPTIONS.mode,
+          direction: section._rclonetray_sync_direction || DEFAULT_SYNC_OPTIONS.direction,
+          _rclonetray_sync_initialized: section._rclonetray_sync_initialized || DEFAULT_SYNC_OPTIONS._rclonetray_sync_initialized,
+          transfers: section._rclonetray_sync_transfers || DEFAULT_SYNC_OPTIONS.transfers,
+          checkers: section._rclonetray_sync_checkers || DEFAULT_SYNC_OPTIONS.checkers,
+          'max-delete': section._rclonetray_sync_max_delete || DEFAULT_SYNC_OPTIONS['max-delete'],
+          unattendedDeletes: section._rclonetray_sync_unattended_deletes || DEFAULT_SYNC_OPTIONS.unattendedDeletes,
+          schedule: section._rclonetray_sync_schedule || DEFAULT_SYNC_OPTIONS.schedule,
+          scheduleInterval: section._rclonetray_sync_schedule_interval || DEFAULT_SYNC_OPTIONS.scheduleInterval,
+          scheduleCron: section._rclonetray_sync_schedule_cron || DEFAULT_SYNC_OPTIONS.scheduleCron,
+          conflictResolve: section._rclonetray_sync_conflict_resolve || DEFAULT_SYNC_OPTIONS.conflictResolve,
+          conflictLoser: section._rclonetray_sync_conflict_loser || DEFAULT_SYNC_OPTIONS.conflictLoser,
+          startDelay: section._rclonetray_sync_start_delay || DEFAULT_SYNC_OPTIONS.startDelay,
+          dependsOn: section._rclonetray_sync_depends_on || DEFAULT_SYNC_OPTIONS.dependsOn,
+          filters: RcloneFilters.fromSection(section, '_rclonetray_sync_filter_')
       };
 
       // Проверяем обязательные поля
@@ -1234,12 +2764,8 @@ const saveSyncConfig = function(bookmark, syncConfig, syncName) {
           config: syncConfig
       });
 
-      // Читаем текущий конфиг
-      const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
-      const sectionKey = `${bookmark.$name}.sync_${syncName}`;
-
-      // Создаем или обновляем секцию
-      config[sectionKey] = {
+      // Создаем или обновляем точку
+      const section = {
           // Основные настройки
           _rclonetray_sync_enabled: (syncConfig.enabled || DEFAULT_SYNC_OPTIONS.enabled).toString(),
           _rclonetray_sync_local_path: syncConfig.localPath || DEFAULT_SYNC_OPTIONS.localPath,
@@ -1253,11 +2779,41 @@ const saveSyncConfig = function(bookmark, syncConfig, syncName) {
           // Дополнительные параметры
           _rclonetray_sync_transfers: syncConfig.transfers || DEFAULT_SYNC_OPTIONS.transfers,
           _rclonetray_sync_checkers: syncConfig.checkers || DEFAULT_SYNC_OPTIONS.checkers,
-          _rclonetray_sync_max_delete: syncConfig['max-delete'] || DEFAULT_SYNC_OPTIONS['max-delete']
+          _rclonetray_sync_max_delete: syncConfig['max-delete'] || DEFAULT_SYNC_OPTIONS['max-delete'],
+          _rclonetray_sync_unattended_deletes: /^\d+$/.test(String(syncConfig.unattendedDeletes))
+              ? String(syncConfig.unattendedDeletes)
+              : DEFAULT_SYNC_OPTIONS.unattendedDeletes,
+
+          // Расписание
+          _rclonetray_sync_schedule: syncConfig.schedule || DEFAULT_SYNC_OPTIONS.schedule,
+          _rclonetray_sync_schedule_interval: syncConfig.scheduleInterval || DEFAULT_SYNC_OPTIONS.scheduleInterval,
+          _rclonetray_sync_schedule_cron: syncConfig.scheduleCron || DEFAULT_SYNC_OPTIONS.scheduleCron,
+
+          // Конфликты двусторонней синхронизации
+          _rclonetray_sync_conflict_resolve: syncConfig.conflictResolve || DEFAULT_SYNC_OPTIONS.conflictResolve,
+          _rclonetray_sync_conflict_loser: syncConfig.conflictLoser || DEFAULT_SYNC_OPTIONS.conflictLoser,
+
+          // Порядок запуска при старте
+          _rclonetray_sync_start_delay: (syncConfig.startDelay || DEFAULT_SYNC_OPTIONS.startDelay).toString(),
+          _rclonetray_sync_depends_on: syncConfig.dependsOn || DEFAULT_SYNC_OPTIONS.dependsOn
       };
 
-      // Сохраняем конфиг в файл
-      fs.writeFileSync(Cache.configFile, ini.stringify(config));
+      validateStartDelay(section._rclonetray_sync_start_delay);
+
+      if (!(section._rclonetray_sync_conflict_resolve in RcloneSyncConflicts.ConflictPolicies)) {
+          throw new Error(`Unknown conflict policy ${section._rclonetray_sync_conflict_resolve}`);
+      }
+
+      // Правила фильтрации
+      RcloneFilters.validate(syncConfig.filters);
+      RcloneFilters.toSection(section, '_rclonetray_sync_filter_', syncConfig.filters);
+
+      if (section._rclonetray_sync_schedule === 'cron') {
+          // Throws on invalid expression, so the dialog can show the error
+          RcloneSyncScheduler.parseCron(section._rclonetray_sync_schedule_cron);
+      }
+
+      trayStore.setSync(bookmark.$name, syncName, section);
       
       // Обновляем кэш, если необходимо
       if (Cache.syncPoints) {
@@ -1265,7 +2821,7 @@ const saveSyncConfig = function(bookmark, syncConfig, syncName) {
           Cache.syncPoints.set(cacheKey, { config: syncConfig });
       }
 
-      console.log('Successfully saved sync config for:', sectionKey);
+      console.log('Successfully saved sync config for:', bookmark.$name, syncName);
       
       // Уведомляем об изменениях
       if (UpdateCallbacksRegistry) {
@@ -1299,26 +2855,26 @@ const createSyncConfig = async function(bookmark, syncName) {
 */
 const deleteSyncConfig = function(bookmark, syncName) {
   try {
-      const config = ini.parse(fs.readFileSync(Cache.configFile, 'utf-8'));
-      const sectionKey = `${bookmark.$name}.sync_${syncName}`;
-
       // Проверяем, не активна ли синхронизация
       const cacheKey = getSyncCacheKey(bookmark.$name, syncName);
       if (Cache.syncPoints && Cache.syncPoints.has(cacheKey)) {
           throw new Error('Cannot delete active sync configuration');
       }
 
-      // Удаляем секцию из конфига
-      if (config[sectionKey]) {
-          delete config[sectionKey];
-          fs.writeFileSync(Cache.configFile, ini.stringify(config));
+      // Удаляем точку синхронизации
+      if (trayStore.getSync(bookmark.$name, syncName)) {
+          trayStore.deleteSync(bookmark.$name, syncName);
+
+          if (syncService && syncService.history) {
+              syncService.history.clear(syncService._getSyncKey(bookmark, syncName));
+          }
           
           // Уведомляем об изменениях
           if (UpdateCallbacksRegistry) {
               UpdateCallbacksRegistry.forEach(callback => callback());
           }
           
-          console.log('Successfully deleted sync config:', sectionKey);
+          console.log('Successfully deleted sync config:', bookmark.$name, syncName);
           return true;
       }
 
@@ -1344,14 +2900,168 @@ const getSyncStatus = function(bookmark, syncName) {
   return syncService ? syncService.getSyncStatus(bookmark, syncName) : false
 }
 
-const startSync = async function(bookmark, syncName) {
-  return syncService ? await syncService.startSync(bookmark, syncName) : false
+/**
+ * Start sync point. The first bisync run and runs that would delete files
+ * are previewed with --dry-run and need confirmation, see RcloneSyncService.
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @param {Object} [options] confirmed or unattended, as RcloneSyncService.startSync takes them
+ * @returns {Promise<boolean>}
+ */
+const startSync = async function(bookmark, syncName, options = {}) {
+  if (!syncService) return false
+  const config = getSyncConfig(bookmark, syncName)
+  if (!config) {
+    throw new Error(`Sync point ${syncName} not found for ${bookmark.$name}`)
+  }
+
+  return await syncService.startSync(bookmark, config, options)
+}
+
+/**
+ * Preview sync point with --dry-run, and run it when the user confirms
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @returns {Promise<boolean>} Started
+ */
+const previewSync = async function(bookmark, syncName) {
+  if (!syncService) return false
+  const config = getSyncConfig(bookmark, syncName)
+  if (!config) {
+    throw new Error(`Sync point ${syncName} not found for ${bookmark.$name}`)
+  }
+
+  const preview = await syncService.previewSync(bookmark, config)
+  if (!await dialogs.syncPreview(bookmark, config, preview)) {
+    return false
+  }
+  return await syncService.startSync(bookmark, config, { confirmed: true })
 }
 
 const stopSync = async function(bookmark, syncName) {
   return syncService ? await syncService.stopSync(bookmark, syncName) : false
 }
 
+/**
+ * Collect sync points of all bookmarks
+ * @returns {Array<{bookmark: Object, config: Object}>}
+ * @private
+ */
+const getAllSyncPoints = function() {
+  const syncPoints = []
+  Object.values(Cache.bookmarks).forEach(bookmark => {
+    getSyncOptionSets(bookmark).forEach(sync => {
+      syncPoints.push({ bookmark, config: sync.config })
+    })
+  })
+  return syncPoints
+}
+
+/**
+ * Get next scheduled run of sync point
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @returns {Date|null}
+ */
+const getSyncNextRun = function(bookmark, syncName) {
+  return syncScheduler ? syncScheduler.getNextRun(bookmark, syncName) : null
+}
+
+/**
+ * Live transfer progress of all jobs of a bookmark
+ * @param {Object} bookmark
+ * @returns {Object|null} { speed, percent, eta, transfers } or null when idle
+ */
+const getBookmarkProgress = function(bookmark) {
+  return statsService ? statsService.getBookmarkProgress(bookmark.$name) : null
+}
+
+/**
+ * Live progress of a sync point
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @returns {Object|null}
+ */
+const getSyncProgress = function(bookmark, syncName) {
+  return statsService ? statsService.getProgress(RcloneStatsService.getGroupName('sync', bookmark.$name, syncName)) : null
+}
+
+/**
+ * Live progress of everything transferring now
+ * @returns {Object|null}
+ */
+const getTotalProgress = function() {
+  return statsService ? statsService.getTotalProgress() : null
+}
+
+/**
+ * Get finished runs of sync point, newest first
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @returns {Array}
+ */
+const getSyncHistory = function(bookmark, syncName) {
+  return syncService ? syncService.getSyncHistory(bookmark, syncName) : []
+}
+
+/**
+ * Get the last finished run of sync point
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @returns {Object|null}
+ */
+const getSyncLastRun = function(bookmark, syncName) {
+  return syncService ? syncService.getLastSyncRun(bookmark, syncName) : null
+}
+
+/**
+ * Get unresolved bisync conflicts of sync point
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @returns {Array}
+ */
+const getSyncConflicts = function(bookmark, syncName) {
+  const config = syncService ? getSyncConfig(bookmark, syncName) : null
+  return config ? syncService.getConflicts(bookmark, config) : []
+}
+
+/**
+ * Resolve bisync conflict
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @param {string} conflictPath
+ * @param {string} action keepLocal, keepRemote or keepBoth
+ */
+const resolveSyncConflict = function(bookmark, syncName, conflictPath, action) {
+  const config = getSyncConfig(bookmark, syncName)
+  if (!syncService || !config) {
+    throw new Error(`Sync point ${syncName} not found for ${bookmark.$name}`)
+  }
+  syncService.resolveConflict(bookmark, config, conflictPath, action)
+}
+
+/**
+ * Open all versions of conflicting file, the remote ones are synced locally as renamed copies
+ * @param {Object} bookmark
+ * @param {string} syncName
+ * @param {string} conflictPath
+ */
+const openSyncConflict = async function(bookmark, syncName, conflictPath) {
+  const config = getSyncConfig(bookmark, syncName)
+  const conflict = getSyncConflicts(bookmark, syncName).find(item => item.path === conflictPath)
+  if (!config || !conflict) {
+    return false
+  }
+  const files = conflict.copies.map(copy => copy.file)
+  if (conflict.originalExists) {
+    files.unshift(conflict.path)
+  }
+  for (const file of files) {
+    await shell.openPath(path.join(config.localPath, file))
+  }
+  return true
+}
+
 /**
 * Мониторинг процесса синхронизации
 */
@@ -1377,7 +3087,7 @@ const _monitorSync = async function(bookmarkName, syncName) {
               if (syncInfo.mode === 'bisync') {
                   const bookmark = getBookmark(bookmarkName);
                   if (bookmark) {
-                      startSync(bookmark, syncName);
+                      startSync(bookmark, syncName, { unattended: true });
                   }
               } else {
                   Cache.syncPoints.delete(cacheKey);
@@ -1394,7 +3104,7 @@ const _monitorSync = async function(bookmarkName, syncName) {
   }
 };
 
-// Download/Upload functions - stubs for now
+// Download/Upload functions
 const download = async function(bookmark) {
     if (!syncService) return false;
     return await syncService.startDownload(bookmark);
@@ -1432,22 +3142,229 @@ const toggleAutomaticUpload = async function(bookmark) {
     return await syncService.toggleAutoUpload(bookmark);
 };
 
-const openLocal = async function(bookmark) { return false }
+const openLocal = async function(bookmark) {
+    const localPath = (bookmark._rclonetray_local_path_map || '').trim();
+    if (!localPath) return false;
+    await shell.openPath(localPath);
+    return true;
+};
+
+/**
+ * Get serving protocols enabled in Preferences
+ * @returns {Object} protocol => label
+ */
+const getAvailableServeProtocols = function() {
+  const protocols = {}
+  Object.keys(RcloneServeService.ServeProtocols).forEach(protocol => {
+    if (settings.get(`rclone_serving_${protocol}_enable`)) {
+      protocols[protocol] = RcloneServeService.ServeProtocols[protocol]
+    }
+  })
+  return protocols
+}
+
+/**
+ * Start serving a bookmark
+ * @param {string} protocol
+ * @param {Object} bookmark
+ * @returns {Promise<string|boolean>} Served URL
+ */
+const serveStart = async function(protocol, bookmark) {
+  if (!serveService) return false
+  try {
+    return await serveService.startServe(bookmark, protocol)
+  } catch (error) {
+    dialogs.rcloneAPIError(`Failed to serve ${bookmark.$name} over ${protocol}: ${error.message}`)
+    return false
+  }
+}
+
+const serveStop = async function(protocol, bookmark) {
+  return serveService ? await serveService.stopServe(bookmark, protocol) : false
+}
+
+/**
+ * Get serving status
+ * @param {string} protocol
+ * @param {Object} bookmark
+ * @returns {string|boolean} URL, empty string while starting, false when not serving
+ */
+const serveStatus = function(protocol, bookmark) {
+  return serveService ? serveService.getServeStatus(bookmark, protocol) : false
+}
+
+/**
+ * Terminal emulators probed on Linux, in order of preference
+ * @private
+ */
+const LinuxTerminals = [
+  'x-terminal-emulator',
+  'gnome-terminal',
+  'konsole',
+  'xterm'
+]
+
+/**
+ * Check if executable can be found in PATH
+ * @param {string} command
+ * @returns {boolean}
+ * @private
+ */
+const commandExists = function(command) {
+  try {
+    execSync(`command -v ${JSON.stringify(command)}`, { stdio: 'ignore', shell: '/bin/sh' })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Quote argument for POSIX shell
+ * @param {string} arg
+ * @returns {string}
+ * @private
+ */
+const shellQuote = function(arg) {
+  return `'${arg.toString().replace(/'/g, `'\\''`)}'`
+}
+
+/**
+ * Normalize remote folder path, no leading or trailing slashes
+ * @param {string} dirPath
+ * @returns {string}
+ * @private
+ */
+const normalizeRemoteDirectory = function(dirPath) {
+  return (dirPath || '').trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')
+}
+
+/**
+ * List folders of a bookmark's remote, one level deep
+ * @param {Object} bookmark
+ * @param {string} dirPath Folder inside the remote, empty for the root
+ * @returns {Promise<Array<{name: string, path: string}>>}
+ */
+const listRemoteDirectories = async function(bookmark, dirPath = '') {
+  if (!apiService) {
+    throw new Error('Browsing remote folders needs the rclone API, enable it in Preferences')
+  }
+
+  const response = await apiService.makeRequest(ApiUrls.listFiles, 'POST', {
+    fs: `${bookmark.$name}:`,
+    remote: normalizeRemoteDirectory(dirPath),
+    opt: { dirsOnly: true, noModTime: true, noMimeType: true }
+  })
+
+  return (response.list || [])
+    .filter(item => item.IsDir)
+    .map(item => ({ name: item.Name, path: item.Path }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Create a folder on a bookmark's remote
+ * @param {Object} bookmark
+ * @param {string} dirPath Folder inside the remote
+ * @returns {Promise<string>} Normalized path of the created folder
+ */
+const createRemoteDirectory = async function(bookmark, dirPath) {
+  if (!apiService) {
+    throw new Error('Creating remote folders needs the rclone API, enable it in Preferences')
+  }
+  const normalized = normalizeRemoteDirectory(dirPath)
+  if (!normalized) {
+    throw new Error('Folder name is empty')
+  }
+
+  await apiService.makeRequest(ApiUrls.mkdir, 'POST', {
+    fs: `${bookmark.$name}:`,
+    remote: normalized
+  })
+  logger.info(`Created remote folder ${bookmark.$name}:${normalized}`)
+  return normalized
+}
+
+/**
+ * Find terminal emulator on Linux, $TERMINAL first, then the usual suspects,
+ * then whatever is set in Preferences
+ * @returns {string|null}
+ * @private
+ */
+const detectLinuxTerminal = function() {
+  const candidates = [process.env.TERMINAL, ...LinuxTerminals, settings.get('rclone_ncdu_terminal')]
+    .filter(candidate => candidate && candidate.trim())
+    .map(candidate => candidate.trim())
+
+  return candidates.find(commandExists) || null
+}
+
+/**
+ * Open terminal emulator with rclone ncdu for the bookmark
+ * @param {Object} bookmark
+ * @returns {Promise<boolean>}
+ */
+const openNCDU = async function(bookmark) {
+  const command = [
+    getRcloneBinary(),
+    'ncdu',
+    `${bookmark.$name}:`,
+    `--config=${Cache.configFile}`,
+    ...getConfigPasswordArgs(true)
+  ]
+
+  logger.info('Opening NCDU for', bookmark.$name)
+
+  try {
+    if (process.platform === 'darwin') {
+      const script = command.map(shellQuote).join(' ').replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+      spawn('osascript', [
+        '-e', `tell application "Terminal" to do script "${script}"`,
+        '-e', 'tell application "Terminal" to activate'
+      ], { detached: true, stdio: 'ignore' }).unref()
+    } else if (process.platform === 'win32') {
+      // Quotes can't be escaped and %VAR% expands even inside them, refuse rather than guess
+      if (command.some(arg => /["%]/.test(arg))) {
+        throw new Error('The bookmark name or config path contains " or %, which cmd cannot pass on')
+      }
+      // cmd strips the first and last quote of a /k command, so it gets an outer pair
+      const commandLine = command.map(arg => `"${arg}"`).join(' ')
+      spawn('cmd', ['/c', 'start', '""', 'cmd', '/k', `"${commandLine}"`], {
+        detached: true,
+        stdio: 'ignore',
+        windowsVerbatimArguments: true
+      }).unref()
+    } else {
+      const terminal = detectLinuxTerminal()
+      if (!terminal) {
+        throw new Error('Cannot find a terminal emulator. Set one in Preferences, NCDU tab.')
+      }
+
+      // gnome-terminal deprecated -e, everything after -- is the command
+      const terminalArgs = path.basename(terminal) === 'gnome-terminal'
+        ? ['--', ...command]
+        : ['-e', ...command]
 
-// Server functions - stubs for now
-const getAvailableServeProtocols = function() { return {} }
-const serveStart = async function(bookmark, protocol) { return false }
-const serveStop = async function(bookmark, protocol) { return false }
-const serveStatus = function(protocol, bookmark) { return false }
+      spawn(terminal, terminalArgs, { detached: true, stdio: 'ignore' }).unref()
+    }
 
-// NCDU function - stub for now
-const openNCDU = async function(bookmark) { return false }
+    return true
+  } catch (error) {
+    logger.error('Failed to open NCDU:', error)
+    dialogs.rcloneAPIError(`Failed to open Console Browser for ${bookmark.$name}: ${error.message}`)
+    return false
+  }
+}
 
 // Exports
 module.exports = {
   // Core functions
   init,
   prepareQuit,
+  confirmQuit,
+  getPendingWork,
+  describePendingWork,
+  hasPendingWork,
   
   // Provider functions
   getProviders,
@@ -1456,15 +3373,45 @@ module.exports = {
   // Bookmark functions
   getBookmark,
   getBookmarks,
-  addBookmark,
+  checkPlaintextSecrets,
   updateBookmark,
   deleteBookmark,
+  startBookmarkCreation,
+  continueBookmarkCreation,
+  cancelBookmarkCreation,
   
   // Mount functions
   mount,
   unmount,
   getMountStatus,
+  getMountHealth,
+  getMountCacheStatus,
+  getMountGroups,
+  runMountDiagnostics,
+  mountGroup,
+  unmountGroup,
+  mountAllEnabled,
+  unmountAll,
+  refreshMountCache,
+  forgetMountCache,
+  clearMountCache,
+  formatCacheStatus: RcloneVfsCache.formatStatus,
   openMountPoint,
+  getMountOptionFields,
+  saveMountOptions,
+  saveMountStartup,
+  saveMountGroup,
+  saveMountPath,
+  checkMountPath,
+  getMountRoot,
+
+  // Config encryption
+  getConfigEncryption,
+  changeConfigEncryption,
+
+  // Startup order
+  getStartupPoints,
+  getStartupPointId,
   
   // Download/Upload functions
   download,
@@ -1485,9 +3432,14 @@ module.exports = {
   
   // NCDU function
   openNCDU,
+
+  // Remote folders
+  listRemoteDirectories,
+  createRemoteDirectory,
   
   // Helper functions
   getVersion,
+  getConfigFile,
   onUpdate,
   getMountConfig,
   getMountPath,
@@ -1509,14 +3461,31 @@ module.exports = {
   getSyncConfig,
   saveSyncConfig,
   startSync,
+  previewSync,
   stopSync,
   getSyncStatus,
+  getSyncNextRun,
+  getSyncHistory,
+  getSyncLastRun,
+  getSyncConflicts,
+  resolveSyncConflict,
+  getBookmarkProgress,
+  getSyncProgress,
+  getTotalProgress,
+  formatProgress: RcloneStatsService.formatProgress,
+  openSyncConflict,
+  SYNC_SCHEDULE_TYPES: RcloneSyncScheduler.ScheduleTypes,
+  SYNC_CONFLICT_POLICIES: RcloneSyncConflicts.ConflictPolicies,
 
   
   // For testing/debugging
   Cache: isDev ? Cache : undefined,
   DEFAULT_MOUNT_OPTIONS,
   DEFAULT_SYNC_OPTIONS,
+  DEFAULT_FILTERS: RcloneFilters.DEFAULT_FILTERS,
+  getFilterEditorFields: RcloneFilters.getEditorFields,
+  getFiltersFromEditorData: RcloneFilters.fromEditorData,
+  getMountOptionsFromEditorData: (data) => RcloneMountOptions.fromEditorData(data, DEFAULT_MOUNT_OPTIONS._rclonetray_mount_options),
   isDownload,
   isUpload,
   isAutomaticUpload,
@@ -34,7 +34,12 @@ const cache = {
   rclone_cache_directories: 10,
   rclone_sync_enable: true,
   rclone_sync_autoupload_delay: 5,
+  rclone_restore_on_startup: true,
+  rclone_plaintext_secrets_declined: [],
+  rclone_mount_root: path.join(app.getPath('home'), 'Cloud'),
+  rclone_mount_allow_other_migrated: false,
   rclone_ncdu_enable: false,
+  rclone_ncdu_terminal: '',
   rclone_serving_http_enable: false,
   rclone_serving_ftp_enable: false,
   rclone_serving_restic_enable: false,
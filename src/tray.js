@@ -1,12 +1,11 @@
 'use strict'
 
 const path = require('path')
-const { Tray, Menu } = require('electron')
+const { Tray, Menu, shell } = require('electron')
 const isDev = require('electron-is-dev')
 const settings = require('./settings')
 const rclone = require('./rclone')
 const dialogs = require('./dialogs')
-const RcloneSyncService = require('./RcloneSyncService')
 
 // Хост для инициализированного объекта Tray
 let trayIndicator = null
@@ -14,6 +13,9 @@ let trayIndicator = null
 // Таймер для атомарного обновления
 let refreshTrayMenuAtomicTimer = null
 
+// Что показано сейчас, меню не пересобирается без изменений
+let trayMenuSignature = null
+
 // Иконки трея
 const icons = {}
 
@@ -38,15 +40,15 @@ const bookmarkActionRouter = async function (action, ...args) {
     } else if (action === 'open-mounted') {
       await rclone.openMountPoint(this)
     } else if (action === 'download') {
-      await rclone.startDownload(this)
+      await rclone.download(this)
     } else if (action === 'stop-downloading') {
       await rclone.stopDownload(this)
     } else if (action === 'upload') {
-      await rclone.startUpload(this)
+      await rclone.upload(this)
     } else if (action === 'stop-uploading') {
       await rclone.stopUpload(this)
     } else if (action === 'toggle-automatic-upload') {
-      await rclone.toggleAutoUpload(this)
+      await rclone.toggleAutomaticUpload(this)
     } else if (action === 'open-local') {
       shell.openPath(this._rclonetray_local_path_map)
     } else if (action === 'serve-start') {
@@ -85,11 +87,6 @@ const generateBookmarkActionsSubmenu = function (bookmark) {
     }
   }
 
-  // Пропуск записей с .mount_ или .sync_
-  if (bookmark.$name.includes('.mount_') || bookmark.$name.includes('.sync_')) {
-    return null
-  }
-
   // Если тип закладки отсутствует, показываем меню восстановления
   if (!bookmark.type) {
     return {
@@ -144,6 +141,11 @@ const generateBookmarkActionsSubmenu = function (bookmark) {
       }
     })
 
+    template.submenu.push({
+      label: `${mountConfig.name} Settings...`,
+      click: () => dialogs.mountSettings(bookmark, mountConfig.id)
+    })
+
     if (isMounted) {
       template.submenu.push(
         {
@@ -163,6 +165,51 @@ const generateBookmarkActionsSubmenu = function (bookmark) {
           enabled: false
         }
       )
+
+      const mountHealth = rclone.getMountHealth(bookmark, mountConfig.id)
+      if (mountHealth) {
+        const retryIn = Math.max(0, Math.round((mountHealth.nextRetry - Date.now()) / 1000))
+        template.submenu.push({
+          label: `Lost: ${mountHealth.error}. Reconnecting` +
+            (mountHealth.attempts ? ` (attempt ${mountHealth.attempts + 1} in ${retryIn}s)` : '...'),
+          enabled: false
+        })
+      }
+
+      const cacheStatus = rclone.getMountCacheStatus(bookmark, mountConfig.id)
+      if (cacheStatus) {
+        template.submenu.push({
+          label: rclone.formatCacheStatus(cacheStatus),
+          enabled: false
+        })
+      }
+
+      template.submenu.push({
+        label: `${mountConfig.name} Cache`,
+        submenu: [
+          {
+            label: 'Refresh Directory Cache',
+            click: () => rclone.refreshMountCache(bookmark, mountConfig.id)
+          },
+          {
+            label: 'Forget Cached Listing',
+            click: () => rclone.forgetMountCache(bookmark, mountConfig.id)
+          },
+          {
+            label: 'Clear Cache...',
+            enabled: !!(cacheStatus && cacheStatus.diskCache),
+            click: () => {
+              rclone.clearMountCache(bookmark, mountConfig.id)
+                .then(() => refresh())
+            }
+          },
+          { type: 'separator' },
+          {
+            label: 'Cache Limits...',
+            click: () => dialogs.mountSettings(bookmark, mountConfig.id)
+          }
+        ]
+      })
     }
   })
 
@@ -173,17 +220,22 @@ const generateBookmarkActionsSubmenu = function (bookmark) {
     syncOptionSets.forEach(sync => {
       const syncStatus = rclone.getSyncStatus(bookmark, sync.id)
       const isActive = syncStatus && syncStatus.status !== 'idle'
-      
+      const syncProgress = isActive ? rclone.getSyncProgress(bookmark, sync.id) : null
+
+      let syncLabel = sync.config.remotePath ?
+        `${sync.name} (${sync.config.remotePath})` :
+        sync.name
+      if (syncProgress) {
+        syncLabel += ` — ${rclone.formatProgress(syncProgress)}`
+      }
+
       template.submenu.push({
-        label: sync.config.remotePath ? 
-          `${sync.name} (${sync.config.remotePath})` : 
-          sync.name,
+        label: syncLabel,
         type: 'checkbox',
         checked: isActive,
         enabled: !isActive,
         click: () => {
-          const syncService = new RcloneSyncService(rclone.Cache.apiService, rclone.getSyncConfig, rclone.saveSyncConfig)
-          syncService.startSync(bookmark, sync.config)
+          rclone.startSync(bookmark, sync.id)
             .then(() => refresh())
             .catch(error => {
               console.error('Sync error:', error)
@@ -192,6 +244,58 @@ const generateBookmarkActionsSubmenu = function (bookmark) {
         }
       })
 
+      const nextRun = rclone.getSyncNextRun(bookmark, sync.id)
+      if (nextRun) {
+        template.submenu.push({
+          label: `Next run: ${nextRun.toLocaleString()}`,
+          enabled: false
+        })
+      } else if (sync.config.schedule && sync.config.schedule !== 'manual') {
+        template.submenu.push({
+          label: `Schedule: ${rclone.SYNC_SCHEDULE_TYPES[sync.config.schedule] || sync.config.schedule}`,
+          enabled: false
+        })
+      }
+
+      const lastRun = rclone.getSyncLastRun(bookmark, sync.id)
+      if (lastRun) {
+        let result = lastRun.result === 'success' ? 'OK' : lastRun.result === 'stopped' ? 'Stopped' : 'Failed'
+        if (lastRun.result === 'error' && lastRun.error) {
+          result += ` (${lastRun.error.length > 40 ? lastRun.error.substr(0, 40) + '…' : lastRun.error})`
+        }
+        template.submenu.push({
+          label: `Last run: ${new Date(lastRun.endTime).toLocaleString()} — ${result}`,
+          enabled: false
+        })
+      }
+
+      const conflicts = rclone.getSyncConflicts(bookmark, sync.id)
+      if (conflicts.length) {
+        template.submenu.push({
+          label: `Review Conflicts (${conflicts.length})...`,
+          click: () => dialogs.syncConflicts(bookmark, sync.config)
+        })
+      }
+
+      template.submenu.push({
+        label: 'Sync History...',
+        click: () => dialogs.syncHistory(bookmark, sync.config)
+      })
+
+      if (!isActive) {
+        template.submenu.push({
+          label: `Preview ${sync.name}...`,
+          click: () => {
+            rclone.previewSync(bookmark, sync.id)
+              .then(() => refresh())
+              .catch(error => {
+                console.error('Sync preview error:', error)
+                dialogs.rcloneAPIError('Sync preview failed: ' + error.message)
+              })
+          }
+        })
+      }
+
       if (isActive) {
         template.submenu.push(
           {
@@ -381,9 +485,16 @@ const generateBookmarkActionsSubmenu = function (bookmark) {
     template.label = (isConnected ? '● ' : '○ ') + template.label
   }
 
+  // Скорость и прогресс передачи
+  const progress = rclone.getBookmarkProgress(bookmark)
+  if (progress) {
+    template.label += ` — ${rclone.formatProgress(progress)}`
+  }
+
   return {
     template,
-    isConnected
+    isConnected,
+    progress
   }
 }
 
@@ -401,6 +512,7 @@ const refreshTrayMenu = function () {
 
   let menuItems = []
   let isConnected = false
+  let tooltip = []
 
   // Опция добавления новой закладки
   menuItems.push({
@@ -427,6 +539,9 @@ const refreshTrayMenu = function () {
           if (bookmarkMenu.isConnected) {
             isConnected = true
           }
+          if (bookmarkMenu.progress) {
+            tooltip.push(`${key}: ${rclone.formatProgress(bookmarkMenu.progress)}`)
+          }
         } else {
           console.error('Invalid bookmark menu template generated for:', key)
         }
@@ -440,6 +555,69 @@ const refreshTrayMenu = function () {
     }
   }
 
+  // Группы монтирования и общие действия
+  if (Object.keys(bookmarks).length > 0) {
+    const mountGroups = rclone.getMountGroups()
+    const mountedCount = Object.values(bookmarks)
+      .reduce((count, bookmark) => count + rclone.getMountOptionSets(bookmark)
+        .filter(set => rclone.getMountStatus(bookmark, set.id)).length, 0)
+
+    menuItems.push({ type: 'separator' })
+
+    Object.keys(mountGroups).sort().forEach(group => {
+      const members = mountGroups[group]
+      const mounted = members.filter(member => member.mounted).length
+      menuItems.push({
+        label: `${group} (${mounted}/${members.length} mounted)`,
+        submenu: [
+          {
+            label: `Mount All in ${group}`,
+            enabled: mounted < members.length,
+            click: () => rclone.mountGroup(group).then(() => refresh())
+          },
+          {
+            label: `Unmount All in ${group}`,
+            enabled: mounted > 0,
+            click: () => rclone.unmountGroup(group).then(() => refresh())
+          },
+          { type: 'separator' },
+          ...members.map(member => ({
+            label: member.label,
+            type: 'checkbox',
+            checked: member.mounted,
+            enabled: false
+          }))
+        ]
+      })
+    })
+
+    menuItems.push(
+      {
+        label: 'Mount All Enabled',
+        click: () => rclone.mountAllEnabled().then(() => refresh())
+      },
+      {
+        label: `Unmount All${mountedCount ? ` (${mountedCount})` : ''}`,
+        enabled: mountedCount > 0,
+        click: () => rclone.unmountAll().then(() => refresh())
+      }
+    )
+  }
+
+  // Общая скорость всех передач
+  const totalProgress = rclone.getTotalProgress()
+  if (totalProgress) {
+    const totalLabel = `Total: ${rclone.formatProgress(totalProgress)} (${totalProgress.transfers} transfer${totalProgress.transfers === 1 ? '' : 's'})`
+    menuItems.push(
+      { type: 'separator' },
+      {
+        label: totalLabel,
+        enabled: false
+      }
+    )
+    tooltip.push(totalLabel)
+  }
+
   // Добавляем стандартные пункты меню
   const standardItems = [
     { type: 'separator' },
@@ -448,6 +626,10 @@ const refreshTrayMenu = function () {
       click: dialogs.preferences,
       accelerator: 'CommandOrControl+,'
     },
+    {
+      label: 'Diagnostics...',
+      click: dialogs.diagnostics
+    },
     {
       label: 'About',
       click: dialogs.about
@@ -468,12 +650,21 @@ const refreshTrayMenu = function () {
       return item && (item.label || item.role || item.type === 'separator')
     })
 
+    // Stats ticks refresh often, rebuild only when something shown has changed.
+    // Click handlers are left out of the signature, the bookmarks they act on are in.
+    const signature = JSON.stringify([validatedItems, bookmarks, isConnected, tooltip])
+    if (signature === trayMenuSignature) {
+      return
+    }
+    trayMenuSignature = signature
+
     // Создаем меню
     const menu = Menu.buildFromTemplate(validatedItems)
     trayIndicator.setContextMenu(menu)
 
     // Обновляем иконку
     trayIndicator.setImage(isConnected ? icons.connected : icons.default)
+    trayIndicator.setToolTip(tooltip.length ? tooltip.join('\n') : 'RcloneTray')
   } catch (error) {
     console.error('Error building menu:', error)
     // Устанавливаем запасное меню в случае ошибки
@@ -489,6 +680,7 @@ const refreshTrayMenu = function () {
       }
     ])
     trayIndicator.setContextMenu(fallbackMenu)
+    trayMenuSignature = null
   }
 }
 
@@ -0,0 +1,245 @@
+'use strict'
+
+/**
+ * Bookmark creation through the config/create state machine, OAuth included, against a
+ * local stub OAuth server. rc is stood in by a small state machine answering like rclone.
+ * rclone authorize is test/fixtures/rclone-authorize.js, unless RCLONE_BINARY names a real
+ * rclone to run it with.
+ */
+
+const test = require('node:test')
+const assert = require('assert')
+const http = require('http')
+const path = require('path')
+const RcloneConfigFlow = require('../src/RcloneConfigFlow')
+
+const rcloneBinary = process.env.RCLONE_BINARY || path.join(__dirname, 'fixtures', 'rclone-authorize.js')
+
+const AccessToken = 'stub-access-token'
+
+/**
+ * OAuth provider that authorizes everyone: /authorize sends the code back right away,
+ * /token trades it for a token
+ */
+const startOAuthServer = function () {
+  const codes = new Set()
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://127.0.0.1')
+    if (url.pathname === '/authorize') {
+      const code = `code-${codes.size + 1}`
+      codes.add(code)
+      const redirect = new URL(url.searchParams.get('redirect_uri'))
+      redirect.searchParams.set('code', code)
+      redirect.searchParams.set('state', url.searchParams.get('state'))
+      response.writeHead(302, { Location: redirect.toString() })
+      response.end()
+      return
+    }
+
+    if (url.pathname === '/token' && request.method === 'POST') {
+      let body = ''
+      request.on('data', chunk => { body += chunk })
+      request.on('end', () => {
+        const form = new URLSearchParams(body)
+        if (form.get('grant_type') !== 'authorization_code' || !codes.has(form.get('code'))) {
+          response.writeHead(400, { 'Content-Type': 'application/json' })
+          response.end(JSON.stringify({ error: 'invalid_grant' }))
+          return
+        }
+        codes.delete(form.get('code'))
+        response.writeHead(200, { 'Content-Type': 'application/json' })
+        response.end(JSON.stringify({
+          access_token: AccessToken,
+          token_type: 'Bearer',
+          refresh_token: 'stub-refresh-token',
+          expires_in: 3600
+        }))
+      })
+      return
+    }
+
+    response.writeHead(404)
+    response.end()
+  })
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.baseUrl = `http://127.0.0.1:${server.address().port}`
+      resolve(server)
+    })
+  })
+}
+
+/**
+ * The browser: follow redirects until a page is shown
+ * @param {string} url
+ * @returns {Promise<string>} Body of the last page
+ */
+const followRedirects = function (url, left = 10) {
+  return new Promise((resolve, reject) => {
+    http.get(url, response => {
+      let body = ''
+      response.on('data', chunk => { body += chunk })
+      response.on('end', () => {
+        if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+          if (!left) {
+            reject(new Error('Too many redirects'))
+            return
+          }
+          resolve(followRedirects(new URL(response.headers.location, url).toString(), left - 1))
+        } else if (response.statusCode !== 200) {
+          reject(new Error(`${url} answered ${response.statusCode}: ${body}`))
+        } else {
+          resolve(body)
+        }
+      })
+    }).on('error', reject)
+  })
+}
+
+/**
+ * rc of an OAuth backend with one question after the token, like drive asks for a team drive
+ * @returns {{request: Function, remotes: Object, calls: Array}} request as RcloneConfigFlow takes it
+ */
+const createRc = function () {
+  const remotes = {}
+  const calls = []
+
+  const request = async function (endpoint, params) {
+    calls.push({ endpoint, params })
+    if (endpoint === 'config/create') {
+      remotes[params.name] = { type: params.type, ...params.parameters }
+      return {
+        State: '*oauth-islocal,teamdrive,,',
+        Option: { Name: 'config_is_local', Type: 'bool', Default: true, Help: 'Use web browser to automatically authenticate rclone with remote?' },
+        Error: ''
+      }
+    }
+
+    assert.strictEqual(endpoint, 'config/update')
+    assert.ok(params.opt.continue)
+    const remote = remotes[params.name]
+    const { state, result } = params.opt
+
+    if (state === '*oauth-islocal,teamdrive,,') {
+      assert.strictEqual(result, 'false')
+      const blob = Buffer.from(JSON.stringify({
+        client_id: remote.client_id,
+        auth_url: remote.auth_url,
+        token_url: remote.token_url
+      })).toString('base64').replace(/=+$/, '')
+      return {
+        State: '*oauth-authorize,teamdrive,,',
+        Option: {
+          Name: 'config_token',
+          Help: `Execute the following on the machine with the web browser (same rclone\nversion recommended):\n\n\trclone authorize "${remote.type}" "${blob}"\n\nThen paste the result.`,
+          Required: true
+        },
+        Error: ''
+      }
+    }
+
+    if (state === '*oauth-authorize,teamdrive,,') {
+      remote.token = result
+      return {
+        State: 'teamdrive',
+        Option: { Name: 'config_change_team_drive', Type: 'bool', Default: false, Help: 'Configure this as a Shared Drive (Team Drive)?' },
+        Error: ''
+      }
+    }
+
+    if (state === 'teamdrive') {
+      remote.team_drive = result === 'true' ? 'shared' : ''
+      return { State: '', Option: null, Error: '' }
+    }
+
+    throw new Error(`Unexpected state ${state}`)
+  }
+
+  return { request, remotes, calls }
+}
+
+test('creates an OAuth remote through the state machine and a stub OAuth server', async () => {
+  const oauthServer = await startOAuthServer()
+  const rc = createRc()
+  const opened = []
+
+  try {
+    const flow = new RcloneConfigFlow({
+      request: rc.request,
+      getRcloneBinary: () => rcloneBinary,
+      openUrl: url => {
+        opened.push(url)
+        return followRedirects(url)
+      },
+      authorizeTimeout: 20000
+    })
+
+    const step = await flow.start('stub', 'drive', {
+      client_id: 'stub-client',
+      auth_url: `${oauthServer.baseUrl}/authorize`,
+      token_url: `${oauthServer.baseUrl}/token`
+    })
+
+    // OAuth questions are answered by the flow, the next one is for the user
+    assert.strictEqual(step.done, false)
+    assert.strictEqual(step.option.Name, 'config_change_team_drive')
+    assert.strictEqual(opened.length, 1)
+    assert.match(opened[0], /^http:\/\/127\.0\.0\.1:\d+\/auth\?state=/)
+    assert.strictEqual(JSON.parse(rc.remotes.stub.token).access_token, AccessToken)
+
+    const last = await flow.answer(step.state, 'true')
+    assert.strictEqual(last.done, true)
+    assert.strictEqual(rc.remotes.stub.team_drive, 'shared')
+    assert.deepStrictEqual(rc.calls.map(call => call.endpoint), ['config/create', 'config/update', 'config/update', 'config/update'])
+    assert.deepStrictEqual(rc.calls[0].params.opt, { nonInteractive: true, obscure: true })
+  } finally {
+    oauthServer.close()
+  }
+})
+
+test('fails when the token endpoint refuses the code', async () => {
+  const oauthServer = await startOAuthServer()
+  const rc = createRc()
+
+  try {
+    const flow = new RcloneConfigFlow({
+      request: rc.request,
+      getRcloneBinary: () => rcloneBinary,
+      // Skips the provider, the code never reaches the token endpoint's list
+      openUrl: url => followRedirects(url.replace('/auth?', '/?code=forged&')),
+      authorizeTimeout: 20000
+    })
+
+    await assert.rejects(flow.start('stub', 'drive', {
+      auth_url: `${oauthServer.baseUrl}/authorize`,
+      token_url: `${oauthServer.baseUrl}/token`
+    }), /Authorization failed|answered 500/)
+    assert.strictEqual(rc.remotes.stub.token, undefined)
+  } finally {
+    oauthServer.close()
+  }
+})
+
+test('cancel stops a running authorization', async () => {
+  const oauthServer = await startOAuthServer()
+  const rc = createRc()
+  let flow = null
+
+  try {
+    flow = new RcloneConfigFlow({
+      request: rc.request,
+      getRcloneBinary: () => rcloneBinary,
+      // The user never signs in
+      openUrl: () => setImmediate(() => flow.cancel()),
+      authorizeTimeout: 20000
+    })
+
+    await assert.rejects(flow.start('stub', 'drive', {
+      auth_url: `${oauthServer.baseUrl}/authorize`,
+      token_url: `${oauthServer.baseUrl}/token`
+    }), /Cancelled/)
+  } finally {
+    oauthServer.close()
+  }
+})
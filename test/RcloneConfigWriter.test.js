@@ -0,0 +1,135 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const RcloneConfigWriter = require('../src/RcloneConfigWriter')
+
+const Config = [
+  '# Written by hand',
+  '[drive]',
+  'type = drive',
+  '_rclonetray_local_path_map=/home/me/Drive',
+  'token  =  {"access_token":"x"}',
+  '',
+  '; mount point of an older version',
+  '[drive@@default]',
+  '_rclonetray_mount_enabled = true',
+  ''
+].join('\n')
+
+/**
+ * rclone.conf in the temp dir, removed after the test
+ * @returns {string} Path of the config
+ */
+const createConfig = function (t, content = Config) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'rclonetray-config-'))
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }))
+  const configFile = path.join(folder, 'rclone.conf')
+  fs.writeFileSync(configFile, content, { mode: 0o600 })
+  return configFile
+}
+
+const removeTrayKeys = function (document) {
+  document.remove('drive@@default')
+  document.names().forEach(name => document.removeKeys(name, key => key.startsWith('_rclonetray_')))
+}
+
+test('removes keys and sections, other lines stay as they are', async t => {
+  const configFile = createConfig(t)
+  const writer = new RcloneConfigWriter(configFile)
+
+  await writer.update(removeTrayKeys)
+  assert.strictEqual(fs.readFileSync(configFile, 'utf-8'), [
+    '# Written by hand',
+    '[drive]',
+    'type = drive',
+    'token  =  {"access_token":"x"}',
+    '',
+    '; mount point of an older version',
+    ''
+  ].join('\n'))
+  assert.strictEqual(fs.readFileSync(writer.backupFile, 'utf-8'), Config)
+  assert.strictEqual(fs.existsSync(`${configFile}.lock`), false)
+})
+
+test('rolls back to the previous config when the write fails', async t => {
+  const configFile = createConfig(t)
+  const writer = new RcloneConfigWriter(configFile)
+
+  // The first write breaks half way, like a full disk
+  const replace = writer._replace.bind(writer)
+  let writes = 0
+  writer._replace = (file, content, mode) => {
+    if (++writes === 1) {
+      fs.writeFileSync(file, content.slice(0, 10))
+      throw new Error('ENOSPC: no space left on device')
+    }
+    replace(file, content, mode)
+  }
+
+  await assert.rejects(writer.update(removeTrayKeys), /Failed to write .*ENOSPC/)
+  assert.strictEqual(writes, 2)
+  assert.strictEqual(fs.readFileSync(configFile, 'utf-8'), Config)
+  assert.strictEqual(fs.existsSync(`${configFile}.lock`), false)
+})
+
+test('rolls back when the written config reads back different', async t => {
+  const configFile = createConfig(t)
+  const writer = new RcloneConfigWriter(configFile)
+
+  const replace = writer._replace.bind(writer)
+  let writes = 0
+  writer._replace = (file, content, mode) => replace(file, ++writes === 1 ? content + 'garbage' : content, mode)
+
+  await assert.rejects(writer.update(removeTrayKeys), /written config does not match/)
+  assert.strictEqual(fs.readFileSync(configFile, 'utf-8'), Config)
+})
+
+test('applies the change again when rclone changed the config meanwhile', async t => {
+  const configFile = createConfig(t)
+  const writer = new RcloneConfigWriter(configFile)
+  const refreshed = Config.replace('"access_token":"x"', '"access_token":"refreshed"')
+
+  let calls = 0
+  await writer.update(document => {
+    if (++calls === 1) {
+      // rcd refreshes a token between our read and write
+      fs.writeFileSync(configFile, refreshed + '\n')
+    }
+    removeTrayKeys(document)
+  })
+
+  assert.strictEqual(calls, 2)
+  const content = fs.readFileSync(configFile, 'utf-8')
+  assert.match(content, /"access_token":"refreshed"/)
+  assert.doesNotMatch(content, /_rclonetray_/)
+})
+
+test('leaves an encrypted config alone', async t => {
+  const encrypted = '# Encrypted rclone configuration File\n\nRCLONE_ENCRYPT_V0:\nabcdef\n'
+  const configFile = createConfig(t, encrypted)
+  const writer = new RcloneConfigWriter(configFile)
+
+  await assert.rejects(writer.update(removeTrayKeys), /encrypted/)
+  assert.strictEqual(fs.readFileSync(configFile, 'utf-8'), encrypted)
+})
+
+test('waits for the lock and takes over a stale one', async t => {
+  const configFile = createConfig(t)
+  const lockFile = `${configFile}.lock`
+
+  fs.writeFileSync(lockFile, '1')
+  const busy = new RcloneConfigWriter(configFile, { lockTimeout: 300 })
+  await assert.rejects(busy.update(removeTrayKeys), /locked by another process/)
+  assert.strictEqual(fs.readFileSync(configFile, 'utf-8'), Config)
+
+  // Left by a crash
+  const old = new Date(Date.now() - 60000)
+  fs.utimesSync(lockFile, old, old)
+  await new RcloneConfigWriter(configFile).update(removeTrayKeys)
+  assert.doesNotMatch(fs.readFileSync(configFile, 'utf-8'), /_rclonetray_/)
+  assert.strictEqual(fs.existsSync(lockFile), false)
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('assert')
+const RcloneFilters = require('../src/RcloneFilters')
+
+const Prefix = '_rclonetray_sync_filter_'
+
+test('normalizes lists and drops unknown presets', () => {
+  assert.deepStrictEqual(RcloneFilters.normalize({
+    presets: ['vcs', 'no-such-preset'],
+    exclude: ' *.iso \r\n\r\ncache/**\n',
+    include: ['docs/**', ' '],
+    minSize: ' 10k '
+  }), {
+    presets: ['vcs'],
+    include: ['docs/**'],
+    exclude: ['*.iso', 'cache/**'],
+    filterFrom: '',
+    minSize: '10k',
+    maxSize: '',
+    minAge: '',
+    maxAge: ''
+  })
+  assert.deepStrictEqual(RcloneFilters.normalize(null), RcloneFilters.DEFAULT_FILTERS)
+})
+
+test('validates sizes and ages', () => {
+  assert.strictEqual(RcloneFilters.validate({ minSize: '100k', maxSize: '1.5GiB', minAge: '1h30m', maxAge: '2024-01-31' }), true)
+  assert.throws(() => RcloneFilters.validate({ maxSize: 'big' }), /Invalid size "big"/)
+  assert.throws(() => RcloneFilters.validate({ minAge: 'yesterday' }), /Invalid age "yesterday"/)
+})
+
+test('tells empty filters apart', () => {
+  assert.strictEqual(RcloneFilters.isEmpty({}), true)
+  assert.strictEqual(RcloneFilters.isEmpty({ exclude: '\n' }), true)
+  assert.strictEqual(RcloneFilters.isEmpty({ maxAge: '30d' }), false)
+})
+
+test('puts excludes before includes and closes includes with a catch-all', () => {
+  const filters = { presets: ['office-locks'], exclude: '*.tmp', include: 'docs/**', maxSize: '2G' }
+
+  assert.deepStrictEqual(RcloneFilters.toArgs(filters), [
+    '--filter', '- ~$*',
+    '--filter', '- .~lock.*#',
+    '--filter', '- *.tmp',
+    '--filter', '+ docs/**',
+    '--filter', '- **',
+    '--max-size', '2G'
+  ])
+  assert.deepStrictEqual(RcloneFilters.toRcFilter(filters), {
+    FilterRule: ['- ~$*', '- .~lock.*#', '- *.tmp', '+ docs/**', '- **'],
+    MaxSize: '2G'
+  })
+})
+
+test('excludes only need no catch-all', () => {
+  assert.deepStrictEqual(RcloneFilters.toArgs({ exclude: '*.iso', filterFrom: '/home/me/filters.txt' }), [
+    '--filter', '- *.iso',
+    '--filter-from', '/home/me/filters.txt'
+  ])
+  assert.deepStrictEqual(RcloneFilters.toRcFilter({ minAge: '1d' }), { MinAge: '1d' })
+  assert.strictEqual(RcloneFilters.toRcFilter({}), null)
+  assert.deepStrictEqual(RcloneFilters.toArgs(null), [])
+})
+
+test('round-trips through config keys and removes empty ones', () => {
+  const section = { type: 'drive', [Prefix + 'max_age']: '1y' }
+  const filters = { presets: ['temp'], exclude: '*.iso', minSize: '1M' }
+
+  RcloneFilters.toSection(section, Prefix, filters)
+  assert.deepStrictEqual(section, {
+    type: 'drive',
+    [Prefix + 'presets']: '["temp"]',
+    [Prefix + 'exclude']: '["*.iso"]',
+    [Prefix + 'min_size']: '1M'
+  })
+  assert.deepStrictEqual(RcloneFilters.fromSection(section, Prefix), RcloneFilters.normalize(filters))
+
+  // A damaged list reads as empty
+  assert.deepStrictEqual(RcloneFilters.fromSection({ [Prefix + 'include']: '[oops' }, Prefix).include, [])
+})
+
+test('reads the filter editor form back', () => {
+  const fields = RcloneFilters.getEditorFields({ presets: ['vcs'], include: ['a/**', 'b/**'] })
+  const field = name => fields.find(item => item.Name === name)
+  assert.strictEqual(field('preset_vcs').Value, true)
+  assert.strictEqual(field('preset_temp').Value, false)
+  assert.strictEqual(field('include').Value, 'a/**\nb/**')
+
+  assert.deepStrictEqual(RcloneFilters.fromEditorData({ preset_vcs: true, preset_temp: false, exclude: '*.bak' }), {
+    ...RcloneFilters.DEFAULT_FILTERS,
+    presets: ['vcs'],
+    exclude: ['*.bak']
+  })
+})
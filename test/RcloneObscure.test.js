@@ -0,0 +1,26 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('assert')
+const RcloneObscure = require('../src/RcloneObscure')
+
+// Vectors of rclone's own obscure tests, fixed IVs "aaaa…" and "bbbb…"
+test('reveals values obscured by rclone', () => {
+  assert.strictEqual(RcloneObscure.reveal('YWFhYWFhYWFhYWFhYWFhYXMaGgIlEQ').toString(), 'potato')
+  assert.strictEqual(RcloneObscure.reveal('YmJiYmJiYmJiYmJiYmJiYp3gcEWbAw').toString(), 'potato')
+  assert.strictEqual(RcloneObscure.reveal('YWFhYWFhYWFhYWFhYWFhYQ').toString(), '')
+})
+
+test('refuses what rclone could not reveal either', () => {
+  assert.strictEqual(RcloneObscure.reveal('short'), null)
+  assert.strictEqual(RcloneObscure.reveal('has spaces and !'), null)
+  assert.strictEqual(RcloneObscure.reveal('YWFhYWFhYWFhYWFhYWFhYQ=='), null)
+})
+
+test('tells obscured values from plain text', () => {
+  assert.strictEqual(RcloneObscure.isObscured('YWFhYWFhYWFhYWFhYWFhYXMaGgIlEQ'), true)
+  assert.strictEqual(RcloneObscure.isObscured('correct horse battery staple'), false)
+  // Long plain text passwords of base64url shape reveal to garbage
+  assert.strictEqual(RcloneObscure.isObscured('Xk2_pQ9vLm8ZrT4wYb7NcE1hJd6S'), false)
+  assert.strictEqual(RcloneObscure.isObscured('abcdefghijklmnopqrstuvwxyz0123456789ABCD'), false)
+})
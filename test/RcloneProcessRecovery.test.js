@@ -0,0 +1,100 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('assert')
+const path = require('path')
+
+// dialogs needs electron, cleanup of stale mounts never shows one
+require.cache[require.resolve('../src/dialogs')] = { exports: {} }
+const RcloneProcessRecovery = require('../src/RcloneProcessRecovery')
+const RcloneMountWatchdog = require('../src/RcloneMountWatchdog')
+const RcloneFsProbe = require('../src/RcloneFsProbe')
+
+const root = path.resolve('/home/me/Cloud')
+const mountPath = path.resolve('/media/photos')
+
+/**
+ * Recovery that sees the given FUSE mounts, each answering a probe as given, and
+ * records what it unmounts instead of unmounting
+ * @param {Object} t Test context
+ * @param {Object} mounts Mount point => readdir probe result, or 'throw'
+ * @returns {{recovery: RcloneProcessRecovery, probed: Array, unmounted: Array}}
+ */
+const createRecovery = function (t, mounts) {
+  const probed = []
+  const unmounted = []
+  const readdir = RcloneFsProbe.readdir
+  const forceUnmount = RcloneMountWatchdog.forceUnmount
+  t.after(() => {
+    RcloneFsProbe.readdir = readdir
+    RcloneMountWatchdog.forceUnmount = forceUnmount
+  })
+
+  RcloneFsProbe.readdir = async mountPoint => {
+    probed.push(mountPoint)
+    if (mounts[mountPoint] === 'throw') {
+      throw new Error('spawn failed')
+    }
+    return mounts[mountPoint]
+  }
+  RcloneMountWatchdog.forceUnmount = async mountPoint => {
+    unmounted.push(mountPoint)
+    return mountPoint !== path.join(root, 'busy')
+  }
+
+  const recovery = new RcloneProcessRecovery({ pidFile: path.resolve('/nonexistent/rcd.pid'), port: 5572 })
+  recovery._listFuseMounts = async () => Object.keys(mounts)
+  return { recovery, probed, unmounted }
+}
+
+const Dead = { timedOut: false, code: 'ENOTCONN', exited: true }
+const Alive = { timedOut: false, code: null, exited: true }
+
+test('unmounts only dead mounts under known paths', async t => {
+  const { recovery, probed, unmounted } = createRecovery(t, {
+    [path.join(root, 'Drive')]: Dead,
+    [path.join(root, 'S3')]: { timedOut: false, code: 'EIO', exited: true },
+    [path.join(root, 'Hung')]: { timedOut: true, code: null, exited: false },
+    [mountPath]: Dead,
+    [path.resolve('/mnt/someone-else')]: Dead
+  })
+
+  const result = await recovery.cleanStaleMounts([root, mountPath])
+  assert.deepStrictEqual(result, [path.join(root, 'Drive'), path.join(root, 'S3'), path.join(root, 'Hung'), mountPath])
+  assert.deepStrictEqual(unmounted, result)
+  assert.strictEqual(probed.indexOf(path.resolve('/mnt/someone-else')), -1)
+})
+
+test('leaves mounts that answer, fail otherwise or belong to the running rcd', async t => {
+  const { recovery, probed, unmounted } = createRecovery(t, {
+    [path.join(root, 'Alive')]: Alive,
+    [path.join(root, 'Gone')]: { timedOut: false, code: 'ENOENT', exited: true },
+    [path.join(root, 'Unprobed')]: 'throw',
+    [path.join(root, 'Active')]: Dead
+  })
+
+  const result = await recovery.cleanStaleMounts([root], [path.join(root, 'Active')])
+  assert.deepStrictEqual(result, [])
+  assert.deepStrictEqual(unmounted, [])
+  assert.strictEqual(probed.indexOf(path.join(root, 'Active')), -1)
+})
+
+test('a path only matches whole folder names', async t => {
+  const { recovery, unmounted } = createRecovery(t, {
+    [root + '-backup']: Dead,
+    [root]: Dead
+  })
+
+  assert.deepStrictEqual(await recovery.cleanStaleMounts([root]), [root])
+  assert.deepStrictEqual(unmounted, [root])
+})
+
+test('reports only mounts that were unmounted', async t => {
+  const { recovery, unmounted } = createRecovery(t, {
+    [path.join(root, 'busy')]: Dead,
+    [path.join(root, 'Drive')]: Dead
+  })
+
+  assert.deepStrictEqual(await recovery.cleanStaleMounts([root]), [path.join(root, 'Drive')])
+  assert.deepStrictEqual(unmounted, [path.join(root, 'busy'), path.join(root, 'Drive')])
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const RcloneSyncConflicts = require('../src/RcloneSyncConflicts')
+
+/**
+ * Sync folder in the temp dir with the given files, removed after the test
+ * @param {Object} t Test context
+ * @param {Object} files Relative path => content
+ * @returns {string}
+ */
+const createFolder = function (t, files) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'rclonetray-conflicts-'))
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }))
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(folder, file)), { recursive: true })
+    fs.writeFileSync(path.join(folder, file), files[file])
+  })
+  return folder
+}
+
+const listFiles = function (folder) {
+  return fs.readdirSync(folder, { recursive: true })
+    .filter(file => fs.statSync(path.join(folder, file)).isFile())
+    .map(file => file.split(path.sep).join('/'))
+    .sort()
+}
+
+test('parses conflicting paths of bisync output once each', () => {
+  const output = [
+    '2024/05/01 10:00:00 NOTICE: - Path1    File changed: size (larger), time (newer)    - docs/a.txt',
+    '2024/05/01 10:00:00 NOTICE: - WARNING  New or changed in both paths                 - docs/a.txt',
+    '2024/05/01 10:00:00 NOTICE: - WARNING  New or changed in both paths                 - b c.txt  ',
+    '2024/05/01 10:00:00 NOTICE: - WARNING  New or changed in both paths                 - docs/a.txt'
+  ].join('\r\n')
+
+  assert.deepStrictEqual(RcloneSyncConflicts.parseBisyncOutput(output), ['docs/a.txt', 'b c.txt'])
+  assert.deepStrictEqual(RcloneSyncConflicts.parseBisyncOutput(''), [])
+  assert.deepStrictEqual(RcloneSyncConflicts.parseBisyncOutput(null), [])
+})
+
+test('tells which file holds the version of each side', () => {
+  const bothRenamed = {
+    path: 'a.txt',
+    originalExists: false,
+    copies: [{ file: 'a.txt.remote-conflict1', side: 'remote' }, { file: 'a.txt.local-conflict1', side: 'local' }]
+  }
+  assert.strictEqual(RcloneSyncConflicts.getVersion(bothRenamed, 'local'), 'a.txt.local-conflict1')
+  assert.strictEqual(RcloneSyncConflicts.getVersion(bothRenamed, 'remote'), 'a.txt.remote-conflict1')
+
+  // The winner keeps the original name
+  const remoteRenamed = { path: 'a.txt', originalExists: true, copies: [{ file: 'a.txt.remote-conflict1', side: 'remote' }] }
+  assert.strictEqual(RcloneSyncConflicts.getVersion(remoteRenamed, 'local'), 'a.txt')
+  assert.strictEqual(RcloneSyncConflicts.getVersion(remoteRenamed, 'remote'), 'a.txt.remote-conflict1')
+
+  // Copies of the old default suffix have no side
+  const unknown = { path: 'a.txt', originalExists: true, copies: [{ file: 'a.txt.conflict1', side: null }] }
+  assert.strictEqual(RcloneSyncConflicts.getVersion(unknown, 'local'), null)
+  assert.strictEqual(RcloneSyncConflicts.getVersion(unknown, 'remote'), null)
+})
+
+test('scans a folder for conflict copies', async t => {
+  const folder = createFolder(t, {
+    'docs/a.txt': 'local wins',
+    'docs/a.txt.remote-conflict1': 'remote',
+    'b.txt.local-conflict2': 'local',
+    'b.txt.remote-conflict2': 'remote',
+    'plain.txt': 'no conflict'
+  })
+
+  const conflicts = await RcloneSyncConflicts.scan(folder)
+  assert.deepStrictEqual(conflicts.map(conflict => conflict.path), ['b.txt', path.join('docs', 'a.txt')])
+  assert.strictEqual(conflicts[0].originalExists, false)
+  assert.strictEqual(conflicts[0].localVersion, 'b.txt.local-conflict2')
+  assert.strictEqual(conflicts[0].remoteVersion, 'b.txt.remote-conflict2')
+  assert.strictEqual(conflicts[1].originalExists, true)
+  assert.strictEqual(conflicts[1].localVersion, path.join('docs', 'a.txt'))
+})
+
+test('keeping one side deletes the other copies', async t => {
+  const folder = createFolder(t, {
+    'a.txt': 'local',
+    'a.txt.remote-conflict1': 'remote',
+    'other.txt': 'untouched'
+  })
+  const [conflict] = await RcloneSyncConflicts.scan(folder)
+
+  RcloneSyncConflicts.resolve(folder, conflict, 'keepRemote')
+  assert.deepStrictEqual(listFiles(folder), ['a.txt', 'other.txt'])
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'a.txt'), 'utf-8'), 'remote')
+})
+
+test('keeping local when both copies were renamed', async t => {
+  const folder = createFolder(t, {
+    'a.txt.local-conflict1': 'local',
+    'a.txt.remote-conflict1': 'remote'
+  })
+  const [conflict] = await RcloneSyncConflicts.scan(folder)
+
+  RcloneSyncConflicts.resolve(folder, conflict, 'keepLocal')
+  assert.deepStrictEqual(listFiles(folder), ['a.txt'])
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'a.txt'), 'utf-8'), 'local')
+})
+
+test('keeping both renames the copies and deletes nothing', async t => {
+  const folder = createFolder(t, {
+    'a.txt.local-conflict1': 'local',
+    'a.txt.remote-conflict1': 'remote',
+    'a (remote copy).txt': 'taken'
+  })
+  const [conflict] = await RcloneSyncConflicts.scan(folder)
+
+  RcloneSyncConflicts.resolve(folder, conflict, 'keepBoth')
+  assert.deepStrictEqual(listFiles(folder), ['a (remote copy 2).txt', 'a (remote copy).txt', 'a.txt'])
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'a.txt'), 'utf-8'), 'local')
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'a (remote copy 2).txt'), 'utf-8'), 'remote')
+})
+
+test('refuses to guess a side and leaves the files alone', async t => {
+  const folder = createFolder(t, {
+    'a.txt': 'one',
+    'a.txt.conflict1': 'two'
+  })
+  const [conflict] = await RcloneSyncConflicts.scan(folder)
+
+  assert.throws(() => RcloneSyncConflicts.resolve(folder, conflict, 'keepLocal'), /Can't tell which copy/)
+  assert.throws(() => RcloneSyncConflicts.resolve(folder, conflict, 'keepNewest'), /Unknown conflict action/)
+  assert.deepStrictEqual(listFiles(folder), ['a.txt', 'a.txt.conflict1'])
+})
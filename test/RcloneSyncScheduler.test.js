@@ -0,0 +1,82 @@
+'use strict'
+
+const test = require('node:test')
+const assert = require('assert')
+
+// dialogs needs electron, the cron functions never show one
+require.cache[require.resolve('../src/dialogs')] = { exports: {} }
+const RcloneSyncScheduler = require('../src/RcloneSyncScheduler')
+
+const { parseCron, getNextCronTime } = RcloneSyncScheduler
+
+const values = function (field) {
+  return field === null ? null : [...field].sort((a, b) => a - b)
+}
+
+test('parses lists, ranges and steps of cron fields', () => {
+  const [spec] = parseCron('*/15 9-17 1,15 * 1-5')
+  assert.deepStrictEqual(values(spec[0]), [0, 15, 30, 45])
+  assert.deepStrictEqual(values(spec[1]), [9, 10, 11, 12, 13, 14, 15, 16, 17])
+  assert.deepStrictEqual(values(spec[2]), [1, 15])
+  assert.strictEqual(spec[3], null)
+  assert.deepStrictEqual(values(spec[4]), [1, 2, 3, 4, 5])
+
+  // A start with a step runs to the end of the range
+  assert.deepStrictEqual(values(parseCron('50/5 * * * *')[0][0]), [50, 55])
+})
+
+test('treats 7 as Sunday', () => {
+  assert.deepStrictEqual(values(parseCron('0 0 * * 7')[0][4]), [0, 7])
+})
+
+test('accepts several expressions and plain times', () => {
+  assert.strictEqual(parseCron('0 9 * * 1; 30 18 * * 5').length, 2)
+
+  const times = parseCron('09:00, 18:30')
+  assert.strictEqual(times.length, 2)
+  assert.deepStrictEqual(values(times[0][0]), [0])
+  assert.deepStrictEqual(values(times[0][1]), [9])
+  assert.deepStrictEqual(values(times[1][0]), [30])
+  assert.deepStrictEqual(values(times[1][1]), [18])
+  assert.strictEqual(times[1][2], null)
+})
+
+test('rejects what cron would reject', () => {
+  assert.throws(() => parseCron(''), /Empty schedule/)
+  assert.throws(() => parseCron('0 9 * *'), /expected 5 fields/)
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron field "60"/)
+  assert.throws(() => parseCron('* 5-1 * * *'), /Invalid cron field "5-1"/)
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron field/)
+  assert.throws(() => parseCron('0 0 0 * *'), /Invalid cron field "0"/)
+  assert.throws(() => parseCron('every day'), /expected 5 fields/)
+})
+
+test('finds the next matching time, strictly after the given one', () => {
+  // Monday, 1 January 2024, local time
+  const monday = new Date(2024, 0, 1, 9, 0, 0)
+
+  assert.deepStrictEqual(getNextCronTime('0 9 * * *', monday), new Date(2024, 0, 2, 9, 0))
+  assert.deepStrictEqual(getNextCronTime('*/15 * * * *', monday), new Date(2024, 0, 1, 9, 15))
+  assert.deepStrictEqual(getNextCronTime('0 9 * * 6', monday), new Date(2024, 0, 6, 9, 0))
+  assert.deepStrictEqual(getNextCronTime('09:00, 18:30', monday), new Date(2024, 0, 1, 18, 30))
+  assert.deepStrictEqual(getNextCronTime('0 8 * * *; 30 8 * * 1', monday), new Date(2024, 0, 2, 8, 0))
+})
+
+test('either day field matches when both are restricted', () => {
+  // 15th of the month or Fridays, from Monday the 1st: Friday the 5th comes first
+  const monday = new Date(2024, 0, 1, 12, 0)
+  assert.deepStrictEqual(getNextCronTime('0 0 15 * 5', monday), new Date(2024, 0, 5, 0, 0))
+})
+
+test('gives up on dates that never come', () => {
+  assert.strictEqual(getNextCronTime('0 0 31 2 *', new Date(2024, 0, 1)), null)
+})
+
+test('computes interval and cron runs of a sync point', () => {
+  const scheduler = new RcloneSyncScheduler({}, { getSyncPoints: () => [] })
+  const after = new Date(2024, 0, 1, 9, 0)
+
+  assert.deepStrictEqual(scheduler.computeNextRun({ schedule: 'interval', scheduleInterval: '30' }, after), new Date(2024, 0, 1, 9, 30))
+  assert.strictEqual(scheduler.computeNextRun({ schedule: 'interval', scheduleInterval: '0' }, after), null)
+  assert.deepStrictEqual(scheduler.computeNextRun({ schedule: 'cron', scheduleCron: '0 10 * * *' }, after), new Date(2024, 0, 1, 10, 0))
+})
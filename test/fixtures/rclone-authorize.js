@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Stand-in for "rclone authorize <backend> <base64 config>" where no rclone binary is
+ * available. It runs the same authorization code flow: serves the local /auth URL,
+ * redirects to auth_url of the config, takes the code on its redirect URL, trades it
+ * at token_url and prints the token between the markers rclone prints.
+ */
+
+const http = require('http')
+const crypto = require('crypto')
+
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'))
+if (args[0] !== 'authorize') {
+  console.error(`Unsupported command ${args[0]}`)
+  process.exit(2)
+}
+const config = args[2] ? JSON.parse(Buffer.from(args[2], 'base64').toString()) : {}
+if (!config.auth_url || !config.token_url) {
+  console.error('auth_url and token_url are required')
+  process.exit(2)
+}
+
+const state = crypto.randomBytes(8).toString('hex')
+
+const requestToken = function (redirectUrl, code) {
+  return new Promise((resolve, reject) => {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUrl,
+      client_id: config.client_id || ''
+    }).toString()
+    const request = http.request(config.token_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': Buffer.byteLength(body) }
+    }, response => {
+      let data = ''
+      response.on('data', chunk => { data += chunk })
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(new Error(`token_url answered ${response.statusCode}: ${data}`))
+        } else {
+          resolve(JSON.parse(data))
+        }
+      })
+    })
+    request.on('error', reject)
+    request.end(body)
+  })
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`)
+  const redirectUrl = `http://127.0.0.1:${server.address().port}/`
+
+  if (url.pathname === '/auth') {
+    if (url.searchParams.get('state') !== state) {
+      response.writeHead(400)
+      response.end('Bad state')
+      return
+    }
+    const authUrl = new URL(config.auth_url)
+    authUrl.searchParams.set('client_id', config.client_id || '')
+    authUrl.searchParams.set('redirect_uri', redirectUrl)
+    authUrl.searchParams.set('response_type', 'code')
+    authUrl.searchParams.set('state', state)
+    response.writeHead(302, { Location: authUrl.toString() })
+    response.end()
+    return
+  }
+
+  if (url.searchParams.get('state') !== state || !url.searchParams.get('code')) {
+    response.writeHead(400)
+    response.end('Bad state or no code')
+    return
+  }
+  requestToken(redirectUrl, url.searchParams.get('code'))
+    .then(token => {
+      response.end('Success')
+      console.log('Paste the following into your remote machine --->')
+      console.log(JSON.stringify(token))
+      console.log('<---End paste')
+      server.close()
+    })
+    .catch(error => {
+      response.writeHead(500)
+      response.end(error.message)
+      console.error(error.message)
+      process.exit(1)
+    })
+})
+
+server.listen(0, '127.0.0.1', () => {
+  console.error(`If your browser doesn't open automatically go to the following link: http://127.0.0.1:${server.address().port}/auth?state=${state}`)
+  console.error('Waiting for code...')
+})